@@ -16,67 +16,464 @@ console.log(t('extension_init_log'));
  * @property {string} annotation Optional note or description.
  * @property {number} timestamp Creation timestamp.
  * @property {number} [updatedAt] Last modification timestamp.
+ * @property {string[]} [excerpts] Captured text excerpts from the conversation.
+ * @property {string[]} [offloaded] Heavy fields kept in a device's chrome.storage.local instead of sync.
  */
 
 /**
  * @typedef {Object} Folder
  * @property {number} id Unique identifier for the folder.
  * @property {string} name Display name of the folder.
- * @property {string[]} chatIds Array of chat IDs contained in the folder.
+ * @property {string[]} chatIds Array of chat IDs contained in the folder. Always empty for a smart folder.
  * @property {Folder[]} subfolders Nested folder structures.
  * @property {string} annotation Optional note or description.
- * @property {string} [sortOrder] Preference for sorting chats within the folder.
+ * @property {string} [sortOrder] Preference for sorting chats within the folder. 'manual' keeps chatIds order.
+ * @property {string} [folderSortOrder] Order of the folder's subfolders, one of FOLDER_SORT_ORDERS.
+ * @property {number} [updatedAt] Last modification timestamp, used to settle sync conflicts.
+ * @property {string} [query] Search query of a smart folder, which shows the chats matching it instead of chatIds.
  */
 
 /**
- * Global state for the library data.
- * @type {{folders: Folder[], allChats: Object<string, ChatEntry>, pinnedSearches: Object[]}}
+ * @typedef {Object} DialogField
+ * @property {string} name Key of the field in the submitted values.
+ * @property {string} label Visible label.
+ * @property {'text'|'textarea'|'tags'} [type] 'tags' adds tag autocomplete. Defaults to 'text'.
+ * @property {string} [value] Initial value.
+ * @property {string} [placeholder]
+ * @property {boolean} [required] Rejects an empty value.
+ * @property {function(string, Object<string, string>): (string|null)} [validate] Returns an error message, or null if valid.
+ * @property {function(string, Object<string, HTMLInputElement>): void} [onInput] Called while typing, with every field's input.
  */
-let folderData = { 
-    folders: [], 
-    allChats: {}, 
-    pinnedSearches: []
-};
 
 /**
- * Global statistics tracker for rendering performance and operation skips.
- * @type {{renders: number, skips: number}}
+ * @typedef {Object} TrashEntry
+ * @property {number} id Unique identifier of the entry.
+ * @property {'folder'|'chat'} kind What was deleted.
+ * @property {number} deletedAt Deletion timestamp.
+ * @property {string} location Original location as a readable path.
+ * @property {Folder} [folder] A deleted folder with its whole subtree.
+ * @property {number|null} [parentId] Parent of a deleted folder, null for the root.
+ * @property {number} [index] Position of a deleted folder among its siblings.
+ * @property {Object<string, ChatEntry>} [chats] Metadata of the chats inside a deleted folder.
+ * @property {ChatEntry} [chat] A deleted chat's metadata.
+ * @property {number[]} [folderIds] Folders a deleted chat was linked from.
+ */
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {'and'|'or'|'not'|'term'} type
+ * @property {QueryNode[]} [children] Operands of 'and' and 'or'.
+ * @property {QueryNode} [child] Operand of 'not'.
+ * @property {'text'|'title'|'note'|'tag'|'folder'|'created'|'updated'} [field] What a term tests; 'text' is the title, note or tags.
+ * @property {string} [value] Lowercased text to look for, or the tag name without '#'. A tag name ending in '/' stands for a subtree.
+ * @property {RegExp} [regex] Set for /regex/ terms instead of value.
+ * @property {boolean} [exact] True for quoted phrases, which search never matches loosely.
+ * @property {{from: number, to: number}} [range] Inclusive timestamp range of a date term.
+ */
+
+/**
+ * @typedef {Object} ChatHighlights
+ * @property {number[]} title Character positions of the title to highlight.
+ * @property {number[]} note Character positions of the note to highlight.
+ * @property {Set<string>} tags Lowercased names (without '#') of tags that matched.
+ */
+
+/**
+ * @typedef {Object} PaletteItem
+ * @property {string} icon
+ * @property {string} label Text the query is matched against.
+ * @property {string} [detail] Dimmed context after the label, such as a folder path.
+ * @property {function(): void} run
+ */
+
+/**
+ * @typedef {Object} RenderItem
+ * @property {string} key Identifies the item across renders.
+ * @property {string} signature Everything the element shows; when it changes the element is rebuilt.
+ * @property {function(): HTMLElement} create Builds the element and attaches its listeners.
+ * @property {function(HTMLElement): void} [update] Brings an existing element up to date instead of rebuilding it.
+ */
+
+/**
+ * @typedef {Object} LibraryIndex
+ * @property {Object} library The folderData object the index was built from.
+ * @property {Map<string, Folder[]>} foldersByChat Folders that list each chat, in tree order.
+ * @property {Map<string, {folder: Folder, parent: Folder|null, path: Folder[]}>} folders Every folder by ID, with its parent and its path from the root.
+ * @property {Map<string, Set<string>>} words Lowercased words of titles, notes and tags, with the chats they appear in.
+ * @property {Map<string, Set<string>>} tags Lowercased tag names (without '#'), with the chats that carry them.
+ * @property {Map<string, {chatIds: string[], error: string|null}>} smartFolders Contents of smart folders by ID,
+ *     filled in as they are asked for.
+ */
+
+/**
+ * @typedef {Object} TagTreeNode
+ * @property {string} path Lowercased tag name without '#', e.g. 'client/acme'. Empty for the root.
+ * @property {string} label The name as first spelled in the library, e.g. '#Client/acme'.
+ * @property {Set<string>} chatIds Chats tagged with this tag or any tag below it.
+ * @property {boolean} isTag Whether some chat carries exactly this tag, not just tags below it.
+ * @property {Map<string, TagTreeNode>} children By lowercased name segment.
+ */
+
+/**
+ * Version of the library shape this build reads and writes.
+ * Bump it together with a new entry in SCHEMA_MIGRATIONS.
+ */
+const SCHEMA_VERSION = 2;
+
+/**
+ * Global state for the library data. folderSortOrder orders the root folders.
+ * @type {{schemaVersion: number, folders: Folder[], allChats: Object<string, ChatEntry>, pinnedSearches: Object[], folderSortOrder: string}}
+ */
+let folderData = createEmptyLibrary();
+
+/**
+ * True while storage holds a library from a newer schema. Saving is blocked so it is never downgraded.
+ * @type {boolean}
+ */
+let libraryLocked = false;
+
+/**
+ * False until the stored library has been read once. Until then folderData is only a placeholder,
+ * so saving is blocked and the panel says the library is still syncing.
+ * @type {boolean}
+ */
+let libraryLoaded = false;
+let libraryRetryTimer = null;
+
+/**
+ * Maximum number of pinned searches shown on the dashboard.
+ */
+const PIN_LIMIT = 5;
+
+/**
+ * Valid values for Folder.sortOrder.
+ */
+const CHAT_SORT_ORDERS = ['updated', 'created', 'alpha', 'manual'];
+
+/**
+ * Valid values for Folder.folderSortOrder and the library's root folderSortOrder.
+ * 'activity' puts the folder with the most recently updated chat (subfolders included) first.
+ */
+const FOLDER_SORT_ORDERS = ['manual', 'alpha', 'activity'];
+
+/**
+ * Field qualifiers understood by the search box, as in "title:report" or "created:>2025-01-01".
+ */
+const SEARCH_FIELDS = ['title', 'note', 'tag', 'folder', 'created', 'updated'];
+const DATE_FILTER_UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * Ranked search: how much a hit in each field counts, and how strongly recent activity lifts a chat
+ * (a chat updated today scores up to SEARCH_RECENCY_BOOST more, halving every half-life).
+ */
+const SEARCH_FIELD_WEIGHTS = { title: 3, tag: 2, note: 1 };
+const SEARCH_RECENCY_BOOST = 0.5;
+const SEARCH_RECENCY_HALF_LIFE_DAYS = 30;
+
+/**
+ * Order of search results: 'ranked' by relevance, or 'date' with the newest first. Both list the same matches.
+ * @type {'ranked'|'date'}
+ */
+let searchSortMode = 'ranked';
+
+/**
+ * Global statistics tracker for rendering performance, operation skips and library index builds.
+ * @type {{renders: number, lastRenderMs: number, totalRenderMs: number, maxRenderMs: number, skips: number, indexBuilds: number, lastIndexBuildMs: number, totalIndexBuildMs: number}}
  */
 window.maktabaStats = {
     renders: 0,
-    skips: 0
+    lastRenderMs: 0,
+    totalRenderMs: 0,
+    maxRenderMs: 0,
+    skips: 0,
+    indexBuilds: 0,
+    lastIndexBuildMs: 0,
+    totalIndexBuildMs: 0
 };
 
+/**
+ * chrome.storage.sync limits. The library is split across several keys so that
+ * no single item exceeds the per-item quota.
+ * @see https://developer.chrome.com/docs/extensions/reference/api/storage#property-sync
+ */
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+const SYNC_SAFETY_BUFFER = 2048;
+
+/**
+ * How long to wait before reading the library again when the first read found it unreadable.
+ */
+const LIBRARY_RETRY_MS = 2000;
+
+/**
+ * Storage key layout. The manifest lists how many chunks each section has:
+ * folders -> maktaba_folders_<n>, chats -> maktaba_chats_<bucket>_<n>, pins -> maktaba_pins_<n>,
+ * tag dictionary -> maktaba_tags_<n>.
+ * Layout 1 stored plain JSON chunks; layout 2 stores positional records compressed with LZ.
+ */
+const MANIFEST_KEY = 'maktaba_manifest';
+const LEGACY_DATA_KEY = 'maktaba_folders';
+const STORAGE_LAYOUT_VERSION = 2;
+const CHAT_BUCKET_COUNT = 16;
+
+/**
+ * Field order for positional records. Unknown fields are kept in a trailing extras object.
+ */
+const CHAT_RECORD_FIELDS = ['id', 'title', 'tags', 'annotation', 'timestamp', 'updatedAt'];
+const FOLDER_RECORD_FIELDS = ['id', 'name', 'chatIds', 'subfolders', 'annotation', 'sortOrder'];
+const PIN_RECORD_FIELDS = ['id', 'title', 'query'];
+
+/**
+ * Output alphabet for compressed sections. None of these characters need escaping in JSON.
+ */
+const LZ_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Tiered storage. The folder tree and chat IDs/titles/tags always stay in sync;
+ * heavy chat fields move to chrome.storage.local once sync usage passes the threshold.
+ */
+const LOCAL_OVERFLOW_KEY = 'maktaba_overflow';
+const HEAVY_CHAT_FIELDS = ['annotation', 'excerpts'];
+const SYNC_OFFLOAD_THRESHOLD = SYNC_QUOTA_BYTES * 0.8;
+const OFFLOAD_MIN_FIELD_BYTES = 256;
+const LOCAL_QUOTA_BYTES = 10485760;
+
+/**
+ * Trash bin. Kept per device in chrome.storage.local so deleted items never use sync quota.
+ * Entries expire after the chosen number of days; 0 keeps them until the trash is emptied.
+ */
+const TRASH_KEY = 'maktaba_trash';
+const TRASH_RETENTION_DAYS = [7, 30, 90, 0];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Automatic snapshots of the whole library, kept per device in chrome.storage.local and
+ * compressed with lzCompress. The oldest is dropped once the limit is reached.
+ */
+const SNAPSHOTS_KEY = 'maktaba_snapshots';
+const SNAPSHOT_LIMIT = 10;
+
+/**
+ * Where the panel was left on this device: the view, expanded folders, scroll positions, search text
+ * and whether the panel is open. Kept in chrome.storage.local, since each device has its own screen.
+ */
+const UI_STATE_KEY = 'maktaba_ui_state';
+const UI_STATE_SAVE_DELAY_MS = 500;
+const UI_STATE_SCROLL_LIMIT = 20; // Views whose scroll position is kept, most recently scrolled first
+
+/**
+ * Local date of the last daily snapshot this tab knows about, so most saves skip the storage read.
+ * @type {string|null}
+ */
+let lastDailySnapshotDate = null;
+
+/**
+ * Last shard values written to (or read from) sync, keyed by storage key.
+ * Used to write only changed shards and to remove stale ones.
+ * @type {Object<string, string>}
+ */
+let syncedShards = {};
+
+/**
+ * Last overflow payload written to (or read from) chrome.storage.local.
+ * @type {string}
+ */
+let syncedOverflow = '';
+
+/**
+ * Last compressed output per section prefix, so unchanged sections are not recompressed.
+ * @type {Object<string, {json: string, encoded: string}>}
+ */
+let encodedSections = {};
+
+/**
+ * Library as last read from or written to storage: the common ancestor when merging
+ * changes made by another tab or device. Null until the first successful read.
+ * @type {Object|null}
+ */
+let syncedLibrary = null;
+
+/**
+ * Revision ID of syncedLibrary. Every write stores its own revision and the one it was based on
+ * in the manifest, so a reader can find the right ancestor even when two writes raced.
+ * @type {string|null}
+ */
+let syncedRevision = null;
+
+/**
+ * Recently seen revisions, oldest first, mapped to their library.
+ * @type {Map<string, Object>}
+ */
+const recentRevisions = new Map();
+const REVISION_HISTORY_LIMIT = 10;
+
+/**
+ * Fields both sides changed during a merge, awaiting the user's choice.
+ * @type {Array<{kind: string, id: string|number, field: string, local: *, remote: *}>}
+ */
+let syncConflicts = [];
+
+/**
+ * Save queue state. Saves run one at a time so each merge starts from the previous write.
+ */
+let saveInFlight = false;
+let savePending = false;
+
+/**
+ * Session undo/redo history. Each entry holds JSON snapshots of the library before and after
+ * one saved change; consecutive entries share the same strings.
+ * @type {Array<{before: string, after: string}>}
+ */
+let undoStack = [];
+let redoStack = [];
+const HISTORY_LIMIT = 50;
+
+/**
+ * JSON of the library as last recorded, so the next save can tell what the user changed.
+ * Remote changes update it without creating an entry.
+ * @type {string|null}
+ */
+let historyState = null;
+
+/**
+ * Entity fields that never count as a change or conflict. Offload markers differ per device.
+ */
+const MERGE_IGNORED_FIELDS = ['updatedAt', 'offloaded'];
+
+/**
+ * The chat or folder being dragged in the sidebar. dataTransfer cannot be read during dragover,
+ * so drop targets check this instead.
+ * @type {{type: 'chat'|'folder', id: string, sourceFolderId: string|null}|null}
+ */
+let dragState = null;
+
+/**
+ * Element currently highlighted as a drop target, and the timer that expands it while hovered.
+ */
+let activeDropTarget = null;
+let dropHoldTimer = null;
+const DRAG_HOLD_DELAY_MS = 600;
+const DRAG_DATA_TYPE = 'application/x-maktaba-item';
+
+/**
+ * Multi-select state of the chat list on screen. viewKey names the folder or search view it belongs to;
+ * opening a different view ends selection mode, and re-rendering drops chats that are no longer shown.
+ * order lists every chat of the view in display order, including rows a long list has not rendered.
+ * @type {{viewKey: string|null, active: boolean, chatIds: Set<string>, anchorId: string|null, order: string[]}}
+ */
+let chatSelection = { viewKey: null, active: false, chatIds: new Set(), anchorId: null, order: [] };
+
+/**
+ * Key and signature each element of the panel list was rendered from. A re-render keeps elements
+ * whose signature did not change instead of building them again; see patchChildren().
+ * @type {WeakMap<HTMLElement, {key: string, signature: string}>}
+ */
+const renderedItems = new WeakMap();
+
+/**
+ * Top-level elements of the folder tree by key. They are kept while a folder or search view is shown,
+ * so going back to the tree reuses them, along with which folders were expanded.
+ * @type {Map<string, HTMLElement>|null}
+ */
+let folderTreePool = null;
+
+/**
+ * The chat list on screen. Lists longer than CHAT_LIST_VIRTUAL_THRESHOLD only keep the rows from start
+ * to end (pool) in the DOM; padding stands in for the others, sized from the row heights measured so far.
+ * @type {{viewKey: string, el: HTMLElement, rows: RenderItem[], pool: Map<string, HTMLElement>, heights: Map<string, number>, start: number, end: number}|null}
+ */
+let chatListState = null;
+const CHAT_LIST_VIRTUAL_THRESHOLD = 60;
+const CHAT_LIST_OVERSCAN = 10; // Rows rendered beyond each edge of the visible area
+const CHAT_ROW_ESTIMATED_HEIGHT = 72;
+
+/**
+ * View state of the panel, restored from UI_STATE_KEY on load. view is what the list shows and
+ * scrollTops its scroll position per view key ('root', 'search', 'tags' or 'folder:<id>').
+ * @type {{view: 'root'|'folder'|'search'|'tags', folderId: string|null, searchText: string, expandedFolderIds: string[], expandedTagPaths: string[], scrollTops: Object<string, number>, panelOpen: boolean}}
+ */
+let uiState = createDefaultUiState();
+let uiStateSaveTimer = null;
+let savedUiState = null; // JSON of the last stored uiState, to skip writes that change nothing
+
+/**
+ * View key of the list on screen, or null before its first render. Rendering a view with another key
+ * scrolls the list to where that view was left.
+ * @type {string|null}
+ */
+let renderedViewKey = null;
+
+/**
+ * The open command palette: 'root' searches everything, 'save' picks a folder for the current chat.
+ * @type {{mode: 'root'|'save', items: PaletteItem[], activeIndex: number}|null}
+ */
+let paletteState = null;
+const PALETTE_HOTKEY = 'k'; // With Ctrl/Cmd+Shift
+const PALETTE_RESULT_LIMIT = 50;
+
+/**
+ * Lookup tables derived from folderData, so rendering and search do not walk the tree per chat.
+ * Rebuilt lazily after a save or when folderData is replaced; see getLibraryIndex().
+ * @type {LibraryIndex|null}
+ */
+let libraryIndex = null;
+
 /**
  * Initializes the extension components and data loading.
  */
 function init() {
-    renderRightSidebar();
-    setupAutoSync();
-    loadData();
+    // The panel opens the way it was left, so that must be known before it is built.
+    readUiState(() => {
+        renderRightSidebar();
+        setupAutoSync();
+        loadData();
+    });
+    readTrash(() => {}); // Reading expires old trash entries
 }
 
 /**
  * Loads data from chrome.storage.sync and refreshes the UI.
+ * Stored data from an older schema is upgraded and written back. Until the first read succeeds,
+ * it is retried every LIBRARY_RETRY_MS.
  */
 function loadData() {
     if (!chrome.runtime?.id) return;
     try {
-        chrome.storage.sync.get(['maktaba_folders'], (result) => {
-            if (chrome.runtime.lastError) return;
-            
-            if (result.maktaba_folders) {
-                // Case 1: Data found
-                folderData = result.maktaba_folders;
-                if (!folderData.pinnedSearches) folderData.pinnedSearches = []; 
+        readLibrary((data, manifest) => {
+            // Edits to the placeholder were refused, so none of them are folded into the stored library.
+            if (!libraryLoaded) folderData = createEmptyLibrary();
+            libraryLoaded = true;
+            clearTimeout(libraryRetryTimer);
+            if (data) {
+                // Case 1: Data found, upgraded to the current schema if needed
+                const migrated = migrateLibrary(data);
+                if (!migrated) return showSchemaLock(data.schemaVersion);
+                libraryLocked = false;
+                // Folds in edits this tab has not written yet (e.g. a save that hit the quota)
+                const needsSave = applyStoredLibrary(migrated, manifest);
+                if (needsSave || (data.schemaVersion || 0) !== migrated.schemaVersion) {
+                    saveAndRefresh();
+                    return;
+                }
+                resumePendingSave();
             } else {
                 // Case 2: No data found (New user or empty)
                 // Initialize with empty defaults so the UI can render
-                folderData = { folders: [], allChats: {}, pinnedSearches: [] };
+                libraryLocked = false;
+                folderData = createEmptyLibrary();
+                historyState = JSON.stringify(folderData);
+                rememberRevision(null, folderData);
             }
             
             // Refresh the list, regardless of whether data was found
-            refreshFolderList();
+            refreshCurrentView();
+        }, () => {
+            // Once loaded, the library on screen is real; the next change or focus reads again.
+            if (libraryLoaded) return;
+            showLibrarySyncing();
+            clearTimeout(libraryRetryTimer);
+            libraryRetryTimer = setTimeout(loadData, LIBRARY_RETRY_MS);
         });
     } catch (e) {
         console.log(t('context_invalidated_log'));
@@ -89,132 +486,1402 @@ function loadData() {
 function setupAutoSync() {
     try {
         chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === 'sync' && changes.maktaba_folders) {
-                const newData = changes.maktaba_folders.newValue;
-                if (JSON.stringify(folderData) !== JSON.stringify(newData)) {
-                    folderData = newData || { folders: [], allChats: {}, pinnedSearches: [] };
-                    refreshFolderList();
+            const isSyncChange = namespace === 'sync' && Object.keys(changes).some(isLibraryKey);
+            const isOverflowChange = namespace === 'local' && changes[LOCAL_OVERFLOW_KEY];
+            if (!isSyncChange && !isOverflowChange) return;
+            if (!libraryLoaded) return loadData();
+            // A change only carries the shards that were rewritten, so reassemble from storage.
+            readLibrary((newData, manifest) => {
+                const migrated = newData ? migrateLibrary(newData) : createEmptyLibrary();
+                if (!migrated) return showSchemaLock(newData.schemaVersion);
+                libraryLocked = false;
+                const previous = JSON.stringify(folderData);
+                if (applyStoredLibrary(migrated, manifest)) {
+                    saveAndRefresh();
+                    return;
                 }
-            }
+                if (JSON.stringify(folderData) !== previous) refreshCurrentView();
+                resumePendingSave();
+            });
         });
     } catch(e) {}
     window.addEventListener('focus', () => loadData());
 }
 
 /**
- * Returns the current date in YYYY-MM-DD format based on the User's Local Timezone.
+ * Creates an empty library at the current schema version.
+ * @returns {Object}
  */
-function getLocalDateString() {
-    const d = new Date();
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+function createEmptyLibrary() {
+    return { schemaVersion: SCHEMA_VERSION, folders: [], allChats: {}, pinnedSearches: [], folderSortOrder: 'manual' };
 }
 
 /**
- * Returns a filename-safe timestamp in local time: YYYY-MM-DD_HH-MM-SS
+ * Ordered upgrade steps. Entry N turns a version N-1 library into version N.
+ * Each step receives a private copy and may mutate it freely.
+ * @type {Array<{version: number, migrate: function(Object): Object}>}
  */
-function getLocalFilenameTimestamp() {
-    const d = new Date();
-    const pad = (n) => String(n).padStart(2, '0');
-    
-    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
-    const time = `${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
-    
-    return `${date}_${time}`;
-}
+const SCHEMA_MIGRATIONS = [
+    {
+        // v0 -> v1: unversioned data. Fill in missing collections and fields,
+        // give every tag a single '#' prefix and make chat IDs match their keys.
+        version: 1,
+        migrate: (data) => {
+            if (!Array.isArray(data.folders)) data.folders = [];
+            if (!data.allChats || typeof data.allChats !== 'object') data.allChats = {};
+            if (!Array.isArray(data.pinnedSearches)) data.pinnedSearches = [];
+
+            const fixFolders = (list) => list.forEach(f => {
+                if (!Array.isArray(f.chatIds)) f.chatIds = [];
+                if (!Array.isArray(f.subfolders)) f.subfolders = [];
+                if (typeof f.annotation !== 'string') f.annotation = '';
+                fixFolders(f.subfolders);
+            });
+            fixFolders(data.folders);
+
+            Object.keys(data.allChats).forEach(id => {
+                const chat = data.allChats[id];
+                chat.id = id;
+                const tags = Array.isArray(chat.tags) ? chat.tags : [];
+                chat.tags = Array.from(new Set(tags
+                    .filter(tag => tag !== null && tag !== undefined)
+                    .map(tag => tag.toString().trim().replace(/^#+/, ''))
+                    .filter(tag => tag.length > 0)
+                    .map(tag => `#${tag}`)));
+            });
+            return data;
+        }
+    },
+    {
+        // v1 -> v2: folders can be ordered by hand or sorted per level. The root level's order
+        // lives on the library, which v1 builds would drop when writing, so they must not open it.
+        version: 2,
+        migrate: (data) => {
+            if (!FOLDER_SORT_ORDERS.includes(data.folderSortOrder)) data.folderSortOrder = 'manual';
+            return data;
+        }
+    }
+];
 
 /**
- * Updates the UI list of pinned searches within the settings manager.
+ * Upgrades a library (stored or imported) to SCHEMA_VERSION by running each pending migration in order.
+ * @param {Object} data
+ * @returns {Object|null} An upgraded copy, or null if the data comes from a newer schema.
  */
-function updatePinnedManager() {
-    const manager = document.getElementById('pinned-manager-list');
-    if (!manager) return;
-    
-    manager.innerHTML = folderData.pinnedSearches.map(pin => `
-        <div class="manage-pin-row">
-            <span>${pin.title}</span>
-            <button class="del-pin-btn" data-id="${pin.id}">×</button>
-        </div>
-    `).join('');
-    
-    manager.querySelectorAll('.del-pin-btn').forEach(btn => {
-        btn.onclick = () => {
-            const id = parseInt(btn.getAttribute('data-id'));
-            folderData.pinnedSearches = folderData.pinnedSearches.filter(p => p.id !== id);
-            saveAndRefresh();
-            updatePinnedManager();
-        };
+function migrateLibrary(data) {
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion > SCHEMA_VERSION) return null;
+
+    let upgraded = JSON.parse(JSON.stringify(data));
+    SCHEMA_MIGRATIONS.forEach(step => {
+        if (step.version > fromVersion) {
+            upgraded = step.migrate(upgraded);
+            upgraded.schemaVersion = step.version;
+        }
     });
+    upgraded.schemaVersion = SCHEMA_VERSION;
+    return upgraded;
 }
 
 /**
- * Renders the main sidebar UI and initializes global event listeners.
+ * Shows that the library has not been read yet, in place of the panel list.
  */
-function renderRightSidebar() {
-    if (document.getElementById('maktaba-right-panel')) return;
+function showLibrarySyncing() {
+    const list = document.getElementById('right-folder-list');
+    if (!list) return;
+    list.innerHTML = `<div class="empty-state"></div>`;
+    list.querySelector('.empty-state').textContent = t('library_syncing_msg');
+}
 
-    const panel = document.createElement('div');
-    const iconUrl = chrome.runtime.getURL('icon_png/icon48.png');
-    panel.id = 'maktaba-right-panel';
-    panel.innerHTML = `
-        <div class="panel-header">
-            <span>${t('maktaba_library_title')}</span>
-            <div class="header-controls">
-                <button id="settings-panel-btn" title="${t('settings_btn_title')}">⚙️</button>
-                <button id="toggle-panel-btn" title="${t('close_btn_title')}">×</button>
-            </div>
-        </div>
-        
-        <div id="settings-overlay" class="hidden">
-            <div class="settings-header">
-                <span>${t('settings_header')}</span>
-                <button id="close-settings-btn">${t('back_btn_label')}</button>
-            </div>
-            <div class="settings-content">
-                <div class="settings-group">
-                    <label>${t('backup_restore_label')}</label>
-                    <button id="export-json-btn" class="secondary-btn">${t('download_backup_btn')}</button>
-                    <button id="import-json-trigger" class="secondary-btn">${t('restore_backup_btn')}</button>
-                    <input type="file" id="import-file-input" style="display:none" accept=".json">
-                </div>
-                <div class="settings-group">
-                    <label>${t('export_data_label')}</label>
-                    <button id="export-csv-btn" class="secondary-btn">${t('export_csv_btn')}</button>
-                    <button id="copy-md-btn" class="secondary-btn">${t('copy_md_btn')}</button>
-                </div>
-                <div class="settings-group">
-                    <label>${t('storage_health_label')}</label>
-                    <div id="storage-text" style="font-size:12px; color:#aaa;">${t('calculating_text')}</div>
-                    <div class="storage-bar-bg"><div id="storage-bar" class="storage-bar-fill"></div></div>
-                </div>
-                <div class="settings-group">
-                    <<label>${t('maintenance_label')}</label>
-                    <button id="btn-diag" class="secondary-btn">${t('download_diag_btn')}</button>
-                    <button id="btn-archive" class="secondary-btn btn-archive-warning">${t('archive_unlinked_btn')}</button>
-                    <button id="btn-prune" class="secondary-btn btn-prune-warning">${t('prune_unlinked_btn')}</button>
-                </div>
-            </div>
-        </div>
+/**
+ * Blocks editing because storage holds a library written by a newer version, and explains why.
+ * @param {number} version The schema version found in storage.
+ */
+function showSchemaLock(version) {
+    libraryLocked = true;
+    const list = document.getElementById('right-folder-list');
+    if (!list) return;
+    list.innerHTML = `<div class="empty-state"></div>`;
+    list.querySelector('.empty-state').textContent = t('schema_too_new_msg', [version, SCHEMA_VERSION]);
+}
 
-        <div class="panel-controls">
-            <div class="search-wrapper">
-                <input type="text" id="folder-search-input" placeholder="${t('search_placeholder')}" autocomplete="off">
-                <button id="search-help-btn" title="${t('search_syntax_title')}">?</button>
-                
-                <div id="search-help-tooltip" class="hidden">
-                    <div class="help-row">${t('help_row_term')}</div>
+/**
+ * Adopts a library read from storage, merging it with this tab's edits.
+ * The ancestor is the stored revision itself if this tab has seen it, else the revision the
+ * writer started from, else the last library this tab synced.
+ * @param {Object} stored The migrated library from storage.
+ * @param {Object|null} manifest The stored manifest, carrying revision IDs.
+ * @returns {boolean} True if the merged result holds local edits that still need to be written.
+ */
+function applyStoredLibrary(stored, manifest) {
+    const revision = manifest ? manifest.revision : null;
+    const base = recentRevisions.get(revision)
+        || recentRevisions.get(manifest ? manifest.baseRevision : null)
+        || syncedLibrary
+        || createEmptyLibrary();
+    const merge = mergeLibraries(base, folderData, stored);
+    folderData = merge.result;
+    historyState = JSON.stringify(folderData);
+    addSyncConflicts(merge.conflicts);
+    rememberRevision(revision, stored);
+    return !isSameValue(folderData, stored);
+}
+
+/**
+ * Records a library as the latest synced revision.
+ * @param {string|null} revision
+ * @param {Object} library
+ */
+function rememberRevision(revision, library) {
+    syncedLibrary = JSON.parse(JSON.stringify(library));
+    syncedRevision = revision || null;
+    if (!revision) return;
+    recentRevisions.delete(revision);
+    recentRevisions.set(revision, syncedLibrary);
+    if (recentRevisions.size > REVISION_HISTORY_LIMIT) recentRevisions.delete(recentRevisions.keys().next().value);
+}
+
+/**
+ * Deep equality that ignores object key order.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => isSameValue(item, b[i]));
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    if (keys.length !== Object.keys(b).filter(key => b[key] !== undefined).length) return false;
+    return keys.every(key => isSameValue(a[key], b[key]));
+}
+
+/**
+ * Compares two versions of an entity, ignoring bookkeeping fields.
+ * @param {Object|undefined} a
+ * @param {Object|undefined} b
+ * @returns {boolean}
+ */
+function isSameEntity(a, b) {
+    if (!a || !b) return a === b;
+    const strip = (entity) => {
+        const copy = { ...entity };
+        MERGE_IGNORED_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+    };
+    return isSameValue(strip(a), strip(b));
+}
+
+/**
+ * Flattens the folder tree into entities keyed by ID, recording each folder's parent and position.
+ * @param {Folder[]} folders
+ * @returns {Map<string, Object>}
+ */
+function flattenFolders(folders) {
+    const entities = new Map();
+    const walk = (list, parentId) => list.forEach((folder, position) => {
+        const entity = { ...folder, parentId, position };
+        delete entity.subfolders;
+        entities.set(String(folder.id), entity);
+        walk(folder.subfolders || [], folder.id);
+    });
+    walk(folders || [], null);
+    return entities;
+}
+
+/**
+ * Rebuilds a folder tree from flattened entities. Folders whose parent is gone,
+ * or whose merged parents form a cycle, are placed at the root.
+ * @param {Map<string, Object>} entities
+ * @returns {Folder[]}
+ */
+function buildFolderTree(entities) {
+    const reachesRoot = (entity) => {
+        const seen = new Set();
+        let current = entity;
+        while (current.parentId !== null && current.parentId !== undefined) {
+            const key = String(current.parentId);
+            if (seen.has(key) || !entities.has(key)) return false;
+            seen.add(key);
+            current = entities.get(key);
+        }
+        return true;
+    };
+    entities.forEach(entity => {
+        if (!reachesRoot(entity)) entity.parentId = null;
+    });
+
+    const children = new Map();
+    entities.forEach(entity => {
+        const key = entity.parentId === null || entity.parentId === undefined ? 'root' : String(entity.parentId);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(entity);
+    });
+    const build = (key) => (children.get(key) || [])
+        .sort((a, b) => a.position - b.position)
+        .map(entity => {
+            const folder = { ...entity, subfolders: build(String(entity.id)) };
+            delete folder.parentId;
+            delete folder.position;
+            return folder;
+        });
+    return build('root');
+}
+
+/**
+ * Merges two edits of a list-like field against its base: items either side removed are dropped,
+ * items either side added are kept, and local order comes first.
+ * @param {Array} base
+ * @param {Array} local
+ * @param {Array} remote
+ * @returns {Array}
+ */
+function mergeListField(base, local, remote) {
+    const has = (list, item) => list.some(other => isSameValue(other, item));
+    const kept = local.filter(item => has(remote, item) || !has(base, item));
+    remote.forEach(item => {
+        if (!has(base, item) && !has(kept, item)) kept.push(item);
+    });
+    return kept;
+}
+
+/**
+ * Three-way merges one entity (chat, folder or pin).
+ * A field changed on one side takes that side's value; list fields combine both sides' additions
+ * and removals. When both sides set a field to different values, the newer entity wins and the
+ * field is reported. An entity deleted on one side and edited on the other is kept and reported.
+ * @param {Object|undefined} base
+ * @param {Object|undefined} local
+ * @param {Object|undefined} remote
+ * @param {function(string, *, *): void} report Called with (field, localValue, remoteValue) per conflict.
+ * @returns {Object|undefined} The merged entity, or undefined if it was deleted.
+ */
+function mergeEntity(base, local, remote, report) {
+    if (isSameEntity(local, remote)) {
+        // Prefer the stored copy so every tab settles on the same bookkeeping fields.
+        if (!remote || (local.updatedAt || 0) <= (remote.updatedAt || 0)) return remote;
+        return { ...remote, updatedAt: local.updatedAt };
+    }
+    if (isSameEntity(local, base)) return remote;
+    if (isSameEntity(remote, base)) return local;
+    if (!local || !remote) {
+        report('deleted', !local, !remote);
+        return local || remote;
+    }
+
+    const origin = base || {};
+    const localIsNewer = (local.updatedAt || 0) >= (remote.updatedAt || 0);
+    const merged = {};
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    fields.forEach(field => {
+        const b = origin[field], l = local[field], r = remote[field];
+        let value;
+        if (isSameValue(l, r) || isSameValue(r, b)) {
+            value = l;
+        } else if (isSameValue(l, b)) {
+            value = r;
+        } else if (Array.isArray(l) && Array.isArray(r)) {
+            value = mergeListField(Array.isArray(b) ? b : [], l, r);
+        } else {
+            value = localIsNewer ? l : r;
+            if (!MERGE_IGNORED_FIELDS.includes(field) && field !== 'position') report(field, l, r);
+        }
+        if (value !== undefined) merged[field] = value;
+    });
+    merged.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0) || undefined;
+    if (merged.updatedAt === undefined) delete merged.updatedAt;
+    return merged;
+}
+
+/**
+ * Three-way merges this tab's library with the one in storage, entity by entity.
+ * @param {Object} base Library as last synced.
+ * @param {Object} local This tab's library.
+ * @param {Object} remote Library currently in storage.
+ * @returns {{result: Object, conflicts: Object[]}}
+ */
+function mergeLibraries(base, local, remote) {
+    const conflicts = [];
+    const reporter = (kind, id) => (field, localValue, remoteValue) => {
+        conflicts.push({ kind, id, field, local: localValue, remote: remoteValue });
+    };
+    const result = { ...remote, schemaVersion: Math.max(local.schemaVersion || 0, remote.schemaVersion || 0) };
+
+    // Chats: remote key order first so an unchanged tab reproduces storage exactly.
+    result.allChats = {};
+    const chatIds = new Set([...Object.keys(remote.allChats || {}), ...Object.keys(local.allChats || {})]);
+    chatIds.forEach(id => {
+        const chat = mergeEntity((base.allChats || {})[id], (local.allChats || {})[id], (remote.allChats || {})[id], reporter('chat', id));
+        if (chat) result.allChats[id] = chat;
+    });
+
+    const baseFolders = flattenFolders(base.folders);
+    const localFolders = flattenFolders(local.folders);
+    const remoteFolders = flattenFolders(remote.folders);
+    const mergedFolders = new Map();
+    new Set([...remoteFolders.keys(), ...localFolders.keys()]).forEach(key => {
+        const folder = mergeEntity(baseFolders.get(key), localFolders.get(key), remoteFolders.get(key), reporter('folder', (localFolders.get(key) || remoteFolders.get(key)).id));
+        if (folder) mergedFolders.set(key, folder);
+    });
+    result.folders = buildFolderTree(mergedFolders);
+
+    const byId = (list) => new Map((list || []).map(pin => [String(pin.id), pin]));
+    const basePins = byId(base.pinnedSearches), localPins = byId(local.pinnedSearches), remotePins = byId(remote.pinnedSearches);
+    result.pinnedSearches = [];
+    new Set([...remotePins.keys(), ...localPins.keys()]).forEach(key => {
+        const pin = mergeEntity(basePins.get(key), localPins.get(key), remotePins.get(key), reporter('pin', (localPins.get(key) || remotePins.get(key)).id));
+        if (pin) result.pinnedSearches.push(pin);
+    });
+
+    result.folderSortOrder = isSameValue(local.folderSortOrder, base.folderSortOrder) ? remote.folderSortOrder : local.folderSortOrder;
+
+    return { result, conflicts };
+}
+
+/**
+ * Sets updatedAt on every folder, chat and pin that differs from the last synced library,
+ * so concurrent edits to the same entity can be ordered.
+ * @param {Object|null} base
+ * @param {Object} data
+ */
+function stampChangedEntities(base, data) {
+    if (!base) return;
+    const now = Date.now();
+    const stamp = (before, entity) => {
+        if (!isSameEntity(before, entity)) entity.updatedAt = Math.max(now, (entity.updatedAt || 0));
+    };
+
+    Object.keys(data.allChats || {}).forEach(id => stamp((base.allChats || {})[id], data.allChats[id]));
+
+    const baseFolders = flattenFolders(base.folders);
+    const walk = (list, parentId) => list.forEach((folder, position) => {
+        const entity = { ...folder, parentId, position };
+        delete entity.subfolders;
+        const before = baseFolders.get(String(folder.id));
+        if (!isSameEntity(before, entity)) folder.updatedAt = Math.max(now, (folder.updatedAt || 0));
+        walk(folder.subfolders || [], folder.id);
+    });
+    walk(data.folders || [], null);
+
+    const basePins = new Map((base.pinnedSearches || []).map(pin => [String(pin.id), pin]));
+    (data.pinnedSearches || []).forEach(pin => stamp(basePins.get(String(pin.id)), pin));
+}
+
+/**
+ * Queues conflicts from a merge and shows them in the panel. A newer conflict on the
+ * same field replaces the older one.
+ * @param {Object[]} conflicts
+ */
+function addSyncConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+    conflicts.forEach(conflict => {
+        syncConflicts = syncConflicts.filter(c => !(c.kind === conflict.kind && String(c.id) === String(conflict.id) && c.field === conflict.field));
+        syncConflicts.push(conflict);
+    });
+    renderSyncConflicts();
+}
+
+/**
+ * Renders the conflict banner above the folder list. Each conflict offers this device's and
+ * the other side's value; the newer one is already applied until the user picks.
+ */
+function renderSyncConflicts() {
+    const banner = document.getElementById('sync-conflicts');
+    if (!banner) return;
+    if (syncConflicts.length === 0) {
+        banner.classList.add('hidden');
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.innerHTML = `
+        <div class="sync-conflicts-header">
+            <span class="sync-conflicts-title"></span>
+            <button class="sync-conflicts-dismiss secondary-btn">${t('sync_conflicts_dismiss_btn')}</button>
+        </div>
+        <div class="sync-conflicts-list"></div>
+    `;
+    banner.querySelector('.sync-conflicts-title').textContent = t('sync_conflicts_banner', [syncConflicts.length]);
+    banner.querySelector('.sync-conflicts-dismiss').onclick = () => {
+        syncConflicts = [];
+        renderSyncConflicts();
+    };
+
+    const list = banner.querySelector('.sync-conflicts-list');
+    syncConflicts.forEach(conflict => {
+        const item = document.createElement('div');
+        item.className = 'sync-conflict-item';
+        item.innerHTML = `
+            <div class="sync-conflict-label"></div>
+            <button class="sync-conflict-option" data-side="local"></button>
+            <button class="sync-conflict-option" data-side="remote"></button>
+        `;
+        item.querySelector('.sync-conflict-label').textContent = describeConflict(conflict);
+        item.querySelectorAll('.sync-conflict-option').forEach(btn => {
+            const side = btn.dataset.side;
+            const value = formatConflictValue(conflict, conflict[side]);
+            btn.textContent = t(side === 'local' ? 'sync_conflict_keep_local' : 'sync_conflict_keep_remote', [value]);
+            btn.title = value;
+            btn.onclick = () => resolveSyncConflict(conflict, side);
+        });
+        list.appendChild(item);
+    });
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Describes which entity and field a conflict is about.
+ * @param {Object} conflict
+ * @returns {string}
+ */
+function describeConflict(conflict) {
+    let name;
+    if (conflict.kind === 'chat') {
+        const chat = folderData.allChats[conflict.id];
+        name = t('merge_preview_chat_item', [chat ? chat.title : conflict.id]);
+    } else if (conflict.kind === 'folder') {
+        const context = getFolderContext(conflict.id);
+        name = t('merge_preview_folder_item', [context ? context.folder.name : conflict.id]);
+    } else {
+        const pin = (folderData.pinnedSearches || []).find(p => String(p.id) === String(conflict.id));
+        name = t('merge_preview_pin_item', [pin ? pin.title : conflict.id]);
+    }
+    const fieldKeys = {
+        title: 'conflict_field_title', name: 'conflict_field_name', annotation: 'conflict_field_note',
+        sortOrder: 'conflict_field_sort', folderSortOrder: 'conflict_field_folder_sort',
+        query: 'conflict_field_query',
+        parentId: 'conflict_field_location', deleted: 'conflict_field_deleted'
+    };
+    const field = fieldKeys[conflict.field] ? t(fieldKeys[conflict.field]) : conflict.field;
+    return t('sync_conflict_label', [name, field]);
+}
+
+/**
+ * Formats one side of a conflict as plain text.
+ * @param {Object} conflict
+ * @param {*} value
+ * @returns {string}
+ */
+function formatConflictValue(conflict, value) {
+    if (conflict.field === 'deleted') return value ? t('conflict_value_deleted') : t('conflict_value_kept');
+    if (conflict.field === 'parentId') {
+        const path = value === null ? [] : getFolderPath(value);
+        return path.length > 0 ? path.map(f => f.name).join(' > ') : t('conflict_value_root');
+    }
+    if (value === undefined || value === null || value === '') return t('conflict_value_empty');
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+/**
+ * Applies the user's choice for a conflict and saves.
+ * @param {Object} conflict
+ * @param {'local'|'remote'} side
+ */
+function resolveSyncConflict(conflict, side) {
+    syncConflicts = syncConflicts.filter(c => c !== conflict);
+    const value = conflict[side];
+
+    if (conflict.kind === 'chat') {
+        const chat = folderData.allChats[conflict.id];
+        if (conflict.field === 'deleted') {
+            if (value && chat) {
+                delete folderData.allChats[conflict.id];
+                const unlink = (list) => list.forEach(f => {
+                    f.chatIds = f.chatIds.filter(id => id !== conflict.id);
+                    unlink(f.subfolders || []);
+                });
+                unlink(folderData.folders);
+            }
+        } else if (chat) {
+            if (value === undefined) delete chat[conflict.field];
+            else chat[conflict.field] = value;
+        }
+    } else if (conflict.kind === 'folder') {
+        const context = getFolderContext(conflict.id);
+        if (context && conflict.field === 'deleted') {
+            if (value) context.siblings.splice(context.index, 1);
+        } else if (context && conflict.field === 'parentId') {
+            const target = value === null ? null : getFolderContext(value);
+            const isDescendant = target && flattenFolders(context.folder.subfolders).has(String(value));
+            if ((value === null || target) && !isDescendant && String(value) !== String(conflict.id)) {
+                context.siblings.splice(context.index, 1);
+                (target ? target.folder.subfolders : folderData.folders).push(context.folder);
+            }
+        } else if (context) {
+            if (value === undefined) delete context.folder[conflict.field];
+            else context.folder[conflict.field] = value;
+        }
+    } else if (conflict.field === 'deleted' && value) {
+        folderData.pinnedSearches = folderData.pinnedSearches.filter(p => String(p.id) !== String(conflict.id));
+    }
+
+    renderSyncConflicts();
+    saveAndRefresh();
+}
+
+/**
+ * Checks whether a storage key belongs to the library layout.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isLibraryKey(key) {
+    return key === MANIFEST_KEY || key === LEGACY_DATA_KEY || /^maktaba_(folders|chats_\d+|pins|tags)_\d+$/.test(key);
+}
+
+/**
+ * Reads all shards from chrome.storage.sync, reassembles the library and merges
+ * the heavy fields this device keeps in chrome.storage.local.
+ * Falls back to the legacy single-key layout when no manifest exists.
+ * @param {function(Object|null, Object|null)} callback Receives the library (or null if nothing is stored) and the manifest.
+ * @param {function()} [onUnreadable] Called instead when storage cannot be read or a shard is missing.
+ */
+function readLibrary(callback, onUnreadable = () => {}) {
+    chrome.storage.sync.get(null, (items) => {
+        if (chrome.runtime.lastError) return onUnreadable();
+
+        syncedShards = {};
+        Object.keys(items).filter(isLibraryKey).forEach(key => {
+            syncedShards[key] = JSON.stringify(items[key]);
+        });
+
+        const core = assembleLibraryShards(items);
+        if (core === undefined) return onUnreadable();
+
+        chrome.storage.local.get([LOCAL_OVERFLOW_KEY], (localItems) => {
+            if (chrome.runtime.lastError) return onUnreadable();
+            const overflow = localItems[LOCAL_OVERFLOW_KEY] || { chats: {} };
+            syncedOverflow = JSON.stringify(overflow);
+            callback(core ? mergeStorageTiers(core, overflow) : null, items[MANIFEST_KEY] || null);
+        });
+    });
+}
+
+/**
+ * Rebuilds the sync core from raw storage items.
+ * @param {Object<string, *>} items All items from chrome.storage.sync.
+ * @returns {Object|null|undefined} The core library, null if nothing is stored, or undefined if a shard is missing.
+ */
+function assembleLibraryShards(items) {
+    const manifest = items[MANIFEST_KEY];
+    if (!manifest) return items[LEGACY_DATA_KEY] || null;
+
+    // A layout from a newer release cannot be decoded; report it as a newer schema so it is left untouched.
+    if (manifest.layout > STORAGE_LAYOUT_VERSION) {
+        return { schemaVersion: Math.max(manifest.schemaVersion || 0, SCHEMA_VERSION + 1) };
+    }
+
+    const isCompressed = manifest.layout >= 2;
+
+    try {
+        const readSection = (prefix, count) => {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const chunk = items[`${prefix}_${i}`];
+                if (typeof chunk !== 'string') throw new Error(`${prefix}_${i}`);
+                text += chunk;
+            }
+            if (!text) return null;
+            return JSON.parse(isCompressed ? lzDecompress(text) : text);
+        };
+
+        if (!isCompressed) {
+            const allChats = {};
+            (manifest.chats || []).forEach((count, bucket) => {
+                Object.assign(allChats, readSection(`maktaba_chats_${bucket}`, count));
+            });
+            return {
+                folders: readSection('maktaba_folders', manifest.folders) || [],
+                allChats: allChats,
+                pinnedSearches: readSection('maktaba_pins', manifest.pins) || []
+            };
+        }
+
+        const tagDictionary = readSection('maktaba_tags', manifest.tags) || [];
+        const allChats = {};
+        (manifest.chats || []).forEach((count, bucket) => {
+            decodeChatRecords(readSection(`maktaba_chats_${bucket}`, count) || [], tagDictionary).forEach(chat => {
+                allChats[chat.id] = chat;
+            });
+        });
+
+        return {
+            schemaVersion: manifest.schemaVersion,
+            folders: decodeFolderRecords(readSection('maktaba_folders', manifest.folders) || []),
+            allChats: allChats,
+            pinnedSearches: (readSection('maktaba_pins', manifest.pins) || []).map(row => unpackRecord(row, PIN_RECORD_FIELDS)),
+            folderSortOrder: manifest.folderSortOrder || 'manual'
+        };
+    } catch (e) {
+        // A shard is missing mid-sync (another device is still writing); the next change event retries.
+        console.warn(t('shard_missing_log', [e.message]));
+        return undefined;
+    }
+}
+
+/**
+ * Splits the library into the synced core and the local overflow tier.
+ * Heavy fields are only offloaded when the core would pass the sync threshold, largest first.
+ * @param {Object} data The full in-memory library.
+ * @returns {{core: Object, overflow: {chats: Object<string, Object>}}}
+ */
+function splitStorageTiers(data) {
+    const overflow = { chats: {} };
+    const allChats = {};
+    const candidates = [];
+
+    Object.keys(data.allChats || {}).forEach(id => {
+        const chat = { ...data.allChats[id] };
+        // Keep markers for fields another device offloaded and this device never received.
+        const pending = (chat.offloaded || []).filter(field => chat[field] === undefined || chat[field] === '');
+        if (pending.length > 0) chat.offloaded = pending;
+        else delete chat.offloaded;
+        allChats[id] = chat;
+
+        HEAVY_CHAT_FIELDS.forEach(field => {
+            if (!chat[field] || chat[field].length === 0) return;
+            const bytes = new Blob([JSON.stringify(chat[field])]).size;
+            if (bytes >= OFFLOAD_MIN_FIELD_BYTES) candidates.push({ id, field, bytes });
+        });
+    });
+
+    const core = { ...data, allChats };
+    let bytesInUse = getShardBytes(buildLibraryShards(core));
+    if (bytesInUse <= SYNC_OFFLOAD_THRESHOLD) return { core, overflow };
+
+    // Field sizes are measured uncompressed; scale them to what they save after compression.
+    const ratio = bytesInUse / new Blob([JSON.stringify(core)]).size;
+
+    candidates.sort((a, b) => b.bytes - a.bytes);
+    for (const { id, field, bytes } of candidates) {
+        if (bytesInUse <= SYNC_OFFLOAD_THRESHOLD) break;
+        const chat = allChats[id];
+        if (!overflow.chats[id]) overflow.chats[id] = {};
+        overflow.chats[id][field] = chat[field];
+        delete chat[field];
+        chat.offloaded = Array.from(new Set([...(chat.offloaded || []), field]));
+        bytesInUse -= bytes * ratio;
+    }
+    return { core, overflow };
+}
+
+/**
+ * Restores offloaded fields from the local overflow tier into the core library.
+ * A value present in the core (edited on another device) always wins over the local copy.
+ * @param {Object} core
+ * @param {{chats: Object<string, Object>}} overflow
+ * @returns {Object}
+ */
+function mergeStorageTiers(core, overflow) {
+    const stored = (overflow && overflow.chats) || {};
+    Object.keys(stored).forEach(id => {
+        const chat = core.allChats[id];
+        if (!chat || !chat.offloaded) return;
+        chat.offloaded = chat.offloaded.filter(field => {
+            if (stored[id][field] === undefined || (chat[field] && chat[field].length > 0)) return true;
+            chat[field] = stored[id][field];
+            return false;
+        });
+        if (chat.offloaded.length === 0) delete chat.offloaded;
+    });
+    return core;
+}
+
+/**
+ * Splits the library into storage shards: a manifest plus compressed string chunks of each section.
+ * @param {Object} data The library to serialize.
+ * @returns {Object<string, *>} Map of storage key to value.
+ */
+function buildLibraryShards(data) {
+    const shards = {};
+    const manifest = { layout: STORAGE_LAYOUT_VERSION, schemaVersion: data.schemaVersion, folders: 0, chats: [], pins: 0, tags: 0 };
+
+    const writeSection = (prefix, value) => {
+        const json = JSON.stringify(value);
+        const cached = encodedSections[prefix];
+        const encoded = cached && cached.json === json ? cached.encoded : lzCompress(json);
+        encodedSections[prefix] = { json, encoded };
+
+        const chunks = splitIntoChunks(encoded, SYNC_QUOTA_BYTES_PER_ITEM - prefix.length - 16);
+        chunks.forEach((chunk, i) => { shards[`${prefix}_${i}`] = chunk; });
+        return chunks.length;
+    };
+
+    const tagDictionary = buildTagDictionary(data.allChats || {});
+    const tagIndex = new Map(tagDictionary.map((tag, i) => [tag, i]));
+
+    const buckets = Array.from({ length: CHAT_BUCKET_COUNT }, () => ({}));
+    Object.keys(data.allChats || {}).forEach(id => {
+        buckets[getChatBucket(id)][id] = data.allChats[id];
+    });
+
+    manifest.tags = tagDictionary.length > 0 ? writeSection('maktaba_tags', tagDictionary) : 0;
+    manifest.folders = writeSection('maktaba_folders', encodeFolderRecords(data.folders || []));
+    manifest.chats = buckets.map((bucket, i) => {
+        return Object.keys(bucket).length > 0 ? writeSection(`maktaba_chats_${i}`, encodeChatRecords(bucket, tagIndex)) : 0;
+    });
+    manifest.pins = writeSection('maktaba_pins', (data.pinnedSearches || []).map(pin => packRecord(pin, PIN_RECORD_FIELDS)));
+
+    // Too small for a section of its own.
+    if (data.folderSortOrder && data.folderSortOrder !== 'manual') manifest.folderSortOrder = data.folderSortOrder;
+
+    shards[MANIFEST_KEY] = manifest;
+    return shards;
+}
+
+/**
+ * Lists the shard keys a manifest references.
+ * @param {Object|undefined} manifest
+ * @returns {Set<string>}
+ */
+function getManifestKeys(manifest) {
+    const keys = new Set();
+    if (!manifest) return keys;
+    const addSection = (prefix, count) => {
+        for (let i = 0; i < (count || 0); i++) keys.add(`${prefix}_${i}`);
+    };
+    addSection('maktaba_folders', manifest.folders);
+    addSection('maktaba_pins', manifest.pins);
+    addSection('maktaba_tags', manifest.tags);
+    (manifest.chats || []).forEach((count, bucket) => addSection(`maktaba_chats_${bucket}`, count));
+    return keys;
+}
+
+/**
+ * Packs an object into a positional array following a field order.
+ * Missing fields become null, fields outside the order go into a trailing extras object,
+ * and trailing nulls are dropped.
+ * @param {Object} record
+ * @param {string[]} fields
+ * @returns {Array}
+ */
+function packRecord(record, fields) {
+    const row = fields.map(field => record[field] === undefined ? null : record[field]);
+    const extras = {};
+    Object.keys(record).forEach(key => {
+        if (!fields.includes(key)) extras[key] = record[key];
+    });
+    if (Object.keys(extras).length > 0) row.push(extras);
+    while (row.length > 0 && row[row.length - 1] === null) row.pop();
+    return row;
+}
+
+/**
+ * Reverses packRecord.
+ * @param {Array} row
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function unpackRecord(row, fields) {
+    const record = {};
+    fields.forEach((field, i) => {
+        if (row[i] !== undefined && row[i] !== null) record[field] = row[i];
+    });
+    return Object.assign(record, row[fields.length] || {});
+}
+
+/**
+ * Collects every tag in use, so chat records can store small indexes instead of repeated strings.
+ * @param {Object<string, ChatEntry>} allChats
+ * @returns {string[]}
+ */
+function buildTagDictionary(allChats) {
+    const tags = new Set();
+    Object.values(allChats).forEach(chat => {
+        if (Array.isArray(chat.tags)) chat.tags.forEach(tag => tags.add(String(tag)));
+    });
+    return Array.from(tags).sort();
+}
+
+/**
+ * Encodes a bucket of chats as positional records sorted by creation time.
+ * Timestamps are stored in base 36 as the delta from the previous chat,
+ * and updatedAt as the offset from the chat's own timestamp.
+ * @param {Object<string, ChatEntry>} bucket
+ * @param {Map<string, number>} tagIndex
+ * @returns {Array[]}
+ */
+function encodeChatRecords(bucket, tagIndex) {
+    const timeOf = (chat) => Number.isInteger(chat.timestamp) ? chat.timestamp : 0;
+    let previous = 0;
+
+    return Object.keys(bucket)
+        .sort((a, b) => timeOf(bucket[a]) - timeOf(bucket[b]))
+        .map(id => {
+            const chat = { ...bucket[id], id };
+            if (Array.isArray(chat.tags)) chat.tags = chat.tags.map(tag => tagIndex.get(String(tag)));
+
+            // Values that cannot be delta-encoded are kept verbatim in extras.
+            const extras = {};
+            const hasTimestamp = Number.isInteger(chat.timestamp);
+            const hasUpdatedAt = hasTimestamp && Number.isInteger(chat.updatedAt);
+            if (hasUpdatedAt) {
+                chat.updatedAt = (chat.updatedAt - chat.timestamp).toString(36);
+            } else if (chat.updatedAt !== undefined) {
+                extras.updatedAt = chat.updatedAt;
+                delete chat.updatedAt;
+            }
+            if (hasTimestamp) {
+                const timestamp = chat.timestamp;
+                chat.timestamp = (timestamp - previous).toString(36);
+                previous = timestamp;
+            } else if (chat.timestamp !== undefined) {
+                extras.timestamp = chat.timestamp;
+                delete chat.timestamp;
+            }
+
+            const row = packRecord(chat, CHAT_RECORD_FIELDS);
+            if (Object.keys(extras).length === 0) return row;
+            while (row.length < CHAT_RECORD_FIELDS.length) row.push(null);
+            row[CHAT_RECORD_FIELDS.length] = Object.assign(row[CHAT_RECORD_FIELDS.length] || {}, extras);
+            return row;
+        });
+}
+
+/**
+ * Reverses encodeChatRecords.
+ * @param {Array[]} rows
+ * @param {string[]} tagDictionary
+ * @returns {ChatEntry[]}
+ */
+function decodeChatRecords(rows, tagDictionary) {
+    let previous = 0;
+    return rows.map(row => {
+        const chat = unpackRecord(row, CHAT_RECORD_FIELDS);
+        if (Array.isArray(row[2])) chat.tags = row[2].map(i => tagDictionary[i]);
+        // Only positional timestamps are encoded; verbatim values arrive through extras.
+        if (typeof row[4] === 'string') {
+            chat.timestamp = previous + parseInt(row[4], 36);
+            previous = chat.timestamp;
+        }
+        if (typeof row[5] === 'string') chat.updatedAt = chat.timestamp + parseInt(row[5], 36);
+        return chat;
+    });
+}
+
+/**
+ * Encodes the folder tree as nested positional records.
+ * @param {Folder[]} folders
+ * @returns {Array[]}
+ */
+function encodeFolderRecords(folders) {
+    return folders.map(folder => {
+        const record = { ...folder };
+        if (Array.isArray(folder.subfolders)) record.subfolders = encodeFolderRecords(folder.subfolders);
+        return packRecord(record, FOLDER_RECORD_FIELDS);
+    });
+}
+
+/**
+ * Reverses encodeFolderRecords.
+ * @param {Array[]} rows
+ * @returns {Folder[]}
+ */
+function decodeFolderRecords(rows) {
+    return rows.map(row => {
+        const folder = unpackRecord(row, FOLDER_RECORD_FIELDS);
+        if (Array.isArray(folder.subfolders)) folder.subfolders = decodeFolderRecords(folder.subfolders);
+        return folder;
+    });
+}
+
+/**
+ * Compresses a string with LZW-style dictionary coding (the lz-string scheme) into
+ * LZ_ALPHABET characters carrying 6 bits each.
+ * @param {string} input
+ * @returns {string}
+ */
+function lzCompress(input) {
+    if (!input) return '';
+
+    const dictionary = new Map();
+    const pending = new Set(); // Single characters not yet emitted as literals
+    const output = [];
+    let dictSize = 3;
+    let numBits = 2;
+    let enlargeIn = 2;
+    let buffer = 0;
+    let position = 0;
+
+    const writeBits = (value, count) => {
+        for (let i = 0; i < count; i++) {
+            buffer = (buffer << 1) | (value & 1);
+            value >>= 1;
+            if (position === 5) {
+                output.push(LZ_ALPHABET[buffer]);
+                buffer = 0;
+                position = 0;
+            } else {
+                position++;
+            }
+        }
+    };
+    const countCode = () => {
+        enlargeIn--;
+        if (enlargeIn === 0) {
+            enlargeIn = Math.pow(2, numBits);
+            numBits++;
+        }
+    };
+    const emit = (w) => {
+        if (pending.has(w)) {
+            const code = w.charCodeAt(0);
+            if (code < 256) {
+                writeBits(0, numBits);
+                writeBits(code, 8);
+            } else {
+                writeBits(1, numBits);
+                writeBits(code, 16);
+            }
+            countCode();
+            pending.delete(w);
+        } else {
+            writeBits(dictionary.get(w), numBits);
+        }
+        countCode();
+    };
+
+    let w = '';
+    for (const c of input.split('')) {
+        if (!dictionary.has(c)) {
+            dictionary.set(c, dictSize++);
+            pending.add(c);
+        }
+        const wc = w + c;
+        if (dictionary.has(wc)) {
+            w = wc;
+        } else {
+            emit(w);
+            dictionary.set(wc, dictSize++);
+            w = c;
+        }
+    }
+    if (w !== '') emit(w);
+
+    writeBits(2, numBits); // End of stream
+    while (position !== 0) writeBits(0, 1);
+    return output.join('');
+}
+
+/**
+ * Reverses lzCompress.
+ * @param {string} input
+ * @returns {string}
+ * @throws {Error} If the input is not a valid compressed stream.
+ */
+function lzDecompress(input) {
+    if (!input) return '';
+
+    let index = 0;
+    let value = LZ_ALPHABET.indexOf(input[index++]);
+    let mask = 32;
+
+    const readBits = (count) => {
+        let bits = 0;
+        for (let power = 1; power < Math.pow(2, count); power <<= 1) {
+            if (value & mask) bits |= power;
+            mask >>= 1;
+            if (mask === 0) {
+                mask = 32;
+                value = LZ_ALPHABET.indexOf(input[index++]);
+            }
+        }
+        return bits;
+    };
+
+    const dictionary = [0, 1, 2];
+    let dictSize = 4;
+    let numBits = 3;
+    let enlargeIn = 4;
+
+    const first = readBits(2);
+    if (first === 2) return '';
+    let w = String.fromCharCode(readBits(first === 0 ? 8 : 16));
+    dictionary[3] = w;
+    const result = [w];
+
+    while (true) {
+        if (index > input.length) throw new Error('Truncated stream');
+        let code = readBits(numBits);
+        if (code === 0 || code === 1) {
+            dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+            code = dictSize - 1;
+            enlargeIn--;
+        } else if (code === 2) {
+            return result.join('');
+        }
+        if (enlargeIn === 0) {
+            enlargeIn = Math.pow(2, numBits);
+            numBits++;
+        }
+
+        let entry;
+        if (typeof dictionary[code] === 'string') entry = dictionary[code];
+        else if (code === dictSize) entry = w + w.charAt(0);
+        else throw new Error('Corrupt stream');
+
+        result.push(entry);
+        dictionary[dictSize++] = w + entry.charAt(0);
+        enlargeIn--;
+        w = entry;
+        if (enlargeIn === 0) {
+            enlargeIn = Math.pow(2, numBits);
+            numBits++;
+        }
+    }
+}
+
+/**
+ * Maps a chat ID to a stable bucket so an edit only rewrites that bucket's shards.
+ * @param {string} chatId
+ * @returns {number}
+ */
+function getChatBucket(chatId) {
+    let hash = 0;
+    for (let i = 0; i < chatId.length; i++) {
+        hash = (hash * 31 + chatId.charCodeAt(i)) >>> 0;
+    }
+    return hash % CHAT_BUCKET_COUNT;
+}
+
+/**
+ * Splits a string into chunks whose JSON-encoded UTF-8 size fits within a byte budget.
+ * Never separates a surrogate pair.
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string[]}
+ */
+function splitIntoChunks(text, maxBytes) {
+    const chunks = [];
+    let start = 0;
+    let size = 2; // Surrounding quotes
+
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const isPair = code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length;
+        let cost;
+        if (code === 0x22 || code === 0x5C) cost = 2;
+        else if (code < 0x20) cost = 6;
+        else if (code < 0x80) cost = 1;
+        else if (code < 0x800) cost = 2;
+        else if (isPair) cost = 4;
+        else cost = code >= 0xD800 && code <= 0xDFFF ? 6 : 3;
+
+        if (size + cost > maxBytes) {
+            chunks.push(text.slice(start, i));
+            start = i;
+            size = 2;
+        }
+        size += cost;
+        if (isPair) i++;
+    }
+    if (start < text.length) chunks.push(text.slice(start));
+    return chunks;
+}
+
+/**
+ * Calculates the bytes a set of shards occupies in chrome.storage.sync (key plus JSON value).
+ * @param {Object<string, *>} shards
+ * @returns {number}
+ */
+function getShardBytes(shards) {
+    return Object.keys(shards).reduce((sum, key) => {
+        return sum + new Blob([key + JSON.stringify(shards[key])]).size;
+    }, 0);
+}
+
+/**
+ * Returns the current date in YYYY-MM-DD format based on the User's Local Timezone.
+ */
+function getLocalDateString() {
+    const d = new Date();
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Returns a filename-safe timestamp in local time: YYYY-MM-DD_HH-MM-SS
+ */
+function getLocalFilenameTimestamp() {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    
+    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    const time = `${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+    
+    return `${date}_${time}`;
+}
+
+/**
+ * Updates the UI list of pinned searches within the settings manager.
+ */
+function updatePinnedManager() {
+    const manager = document.getElementById('pinned-manager-list');
+    if (!manager) return;
+    
+    manager.innerHTML = folderData.pinnedSearches.map(pin => `
+        <div class="manage-pin-row">
+            <span>${pin.title}</span>
+            <button class="del-pin-btn" data-id="${pin.id}">×</button>
+        </div>
+    `).join('');
+    
+    manager.querySelectorAll('.del-pin-btn').forEach(btn => {
+        btn.onclick = () => {
+            const id = parseInt(btn.getAttribute('data-id'));
+            folderData.pinnedSearches = folderData.pinnedSearches.filter(p => p.id !== id);
+            saveAndRefresh();
+            updatePinnedManager();
+        };
+    });
+}
+
+/**
+ * Renders the tag manager in the settings overlay: every tag with the number of chats carrying it.
+ * Tags that differ only in case are flagged and can be merged into their most used spelling.
+ */
+function renderTagManager() {
+    const list = document.getElementById('tag-manager-list');
+    const mergeBtn = document.getElementById('merge-tags-btn');
+    const duplicatesBtn = document.getElementById('merge-case-duplicates-btn');
+    if (!list || !mergeBtn || !duplicatesBtn) return;
+
+    const usage = getTagUsage();
+    // Sorting case-insensitively puts the spellings of one tag next to each other.
+    const tags = Array.from(usage.keys()).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()) || a.localeCompare(b));
+    const spellings = new Map();
+    tags.forEach(tag => spellings.set(tag.toLowerCase(), [...(spellings.get(tag.toLowerCase()) || []), tag]));
+    const duplicates = Array.from(spellings.values()).filter(group => group.length > 1);
+    const selected = new Set();
+
+    const updateMergeBtn = () => {
+        mergeBtn.disabled = selected.size < 2;
+        mergeBtn.textContent = selected.size < 2 ? t('merge_tags_btn') : t('merge_tags_count_btn', [selected.size]);
+    };
+    mergeBtn.onclick = () => mergeTagsDialog(Array.from(selected), usage);
+    updateMergeBtn();
+
+    duplicatesBtn.classList.toggle('hidden', duplicates.length === 0);
+    duplicatesBtn.textContent = t('merge_case_duplicates_btn', [duplicates.length]);
+    duplicatesBtn.onclick = () => {
+        const renames = new Map();
+        const summary = duplicates.map(group => {
+            const keep = group.reduce((best, tag) => usage.get(tag) > usage.get(best) ? tag : best);
+            group.forEach(tag => { if (tag !== keep) renames.set(tag, keep); });
+            return t('merge_case_duplicates_item', [group.filter(tag => tag !== keep).join(', '), keep]);
+        });
+        showConfirmDialog(t('merge_case_duplicates_confirm', [summary.join('; ')]), () => {
+            applyTagRenames(renames, 'tags_merged_toast');
+        }, { confirmLabel: t('merge_tags_confirm_btn') });
+    };
+
+    list.innerHTML = '';
+    if (tags.length === 0) {
+        list.innerHTML = `<div class="tag-manager-empty">${t('tags_empty_text')}</div>`;
+        return;
+    }
+    tags.forEach(tag => {
+        const row = document.createElement('div');
+        row.className = 'tag-manager-item';
+        row.innerHTML = `
+            <input type="checkbox" class="tag-select-box" title="${t('tag_select_title')}">
+            <div class="tag-manager-info">
+                <div class="tag-manager-name" title="${t('tag_search_title')}"></div>
+                <div class="tag-manager-meta"></div>
+            </div>
+            <button class="tag-rename-btn" title="${t('tag_rename_title')}">${t('tag_rename_icon')}</button>
+            <button class="tag-delete-btn" title="${t('tag_delete_title')}">×</button>
+        `;
+        const count = usage.get(tag);
+        const others = spellings.get(tag.toLowerCase()).filter(other => other !== tag);
+        row.querySelector('.tag-manager-name').textContent = tag;
+        row.querySelector('.tag-manager-meta').textContent = others.length > 0
+            ? `${t('tag_usage_count', [count])} · ${t('tag_case_duplicate_note', [others.join(', ')])}`
+            : t('tag_usage_count', [count]);
+        row.classList.toggle('duplicate', others.length > 0);
+
+        row.querySelector('.tag-select-box').onchange = (e) => {
+            if (e.target.checked) selected.add(tag);
+            else selected.delete(tag);
+            updateMergeBtn();
+        };
+        row.querySelector('.tag-manager-name').onclick = () => {
+            document.getElementById('settings-overlay').classList.add('hidden');
+            document.getElementById('folder-search-input').value = getTagSearchQuery(tag);
+            refreshFolderList();
+        };
+        row.querySelector('.tag-rename-btn').onclick = () => {
+            showDialog({
+                title: t('rename_tag_dialog_title', [tag]),
+                message: t('tag_usage_count', [count]),
+                fields: [{ name: 'name', label: t('tag_name_label'), value: tag, required: true, validate: validateTagName }],
+                confirmLabel: t('dialog_save_btn')
+            }, ({ name }) => {
+                const renamed = parseTagInput(name)[0];
+                if (renamed !== tag) applyTagRenames(new Map([[tag, renamed]]), 'tag_renamed_toast');
+            });
+        };
+        row.querySelector('.tag-delete-btn').onclick = () => {
+            showConfirmDialog(t('delete_tag_confirm', [tag, count]), () => {
+                applyTagRenames(new Map([[tag, null]]), 'tag_deleted_toast');
+            }, { confirmLabel: t('dialog_delete_btn') });
+        };
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Asks which tag several tags should become, suggesting the most used one.
+ * @param {string[]} tags At least two tags, with '#'.
+ * @param {Map<string, number>} usage Chat counts from getTagUsage().
+ */
+function mergeTagsDialog(tags, usage) {
+    if (tags.length < 2) return;
+    const suggested = tags.reduce((best, tag) => usage.get(tag) > usage.get(best) ? tag : best);
+    showDialog({
+        title: t('merge_tags_dialog_title', [tags.length]),
+        message: tags.join(', '),
+        fields: [{ name: 'name', label: t('merge_tags_into_label'), value: suggested, required: true, validate: validateTagName }],
+        confirmLabel: t('merge_tags_confirm_btn')
+    }, ({ name }) => {
+        const target = parseTagInput(name)[0];
+        applyTagRenames(new Map(tags.filter(tag => tag !== target).map(tag => [tag, target])), 'tags_merged_toast');
+    });
+}
+
+/**
+ * Dialog validator for fields that take exactly one tag.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function validateTagName(value) {
+    return parseTagInput(value).length === 1 ? null : t('tag_name_invalid');
+}
+
+/**
+ * Applies tag renames to the library with a single save and reports how many chats changed.
+ * @param {Map<string, string|null>} renames See renameTags().
+ * @param {string} toastKey Message for the undo toast, given the number of chats changed.
+ */
+function applyTagRenames(renames, toastKey) {
+    const changed = renameTags(renames);
+    if (changed === 0) return;
+    saveAndRefresh();
+    renderTagManager();
+    showUndoToast(t(toastKey, [changed]));
+}
+
+/**
+ * Renders the main sidebar UI and initializes global event listeners.
+ */
+function renderRightSidebar() {
+    if (document.getElementById('maktaba-right-panel')) return;
+
+    const panel = document.createElement('div');
+    const iconUrl = chrome.runtime.getURL('icon_png/icon48.png');
+    panel.id = 'maktaba-right-panel';
+    panel.innerHTML = `
+        <div class="panel-header">
+            <span>${t('maktaba_library_title')}</span>
+            <div class="header-controls">
+                <button id="palette-btn" title="${t('palette_btn_title')}">${t('palette_btn_icon')}</button>
+                <button id="settings-panel-btn" title="${t('settings_btn_title')}">⚙️</button>
+                <button id="toggle-panel-btn" title="${t('close_btn_title')}">×</button>
+            </div>
+        </div>
+        
+        <div id="settings-overlay" class="hidden">
+            <div class="settings-header">
+                <span>${t('settings_header')}</span>
+                <button id="close-settings-btn">${t('back_btn_label')}</button>
+            </div>
+            <div class="settings-content">
+                <div class="settings-group">
+                    <label>${t('backup_restore_label')}</label>
+                    <button id="export-json-btn" class="secondary-btn">${t('download_backup_btn')}</button>
+                    <button id="import-json-trigger" class="secondary-btn">${t('restore_backup_btn')}</button>
+                    <button id="merge-json-trigger" class="secondary-btn">${t('merge_backup_btn')}</button>
+                    <input type="file" id="import-file-input" style="display:none" accept=".json">
+                    <button id="import-csv-trigger" class="secondary-btn">${t('import_csv_btn')}</button>
+                    <input type="file" id="import-csv-input" style="display:none" accept=".csv,text/csv">
+                    <button id="import-md-trigger" class="secondary-btn">${t('import_md_btn')}</button>
+                    <input type="file" id="import-md-input" style="display:none" accept=".md,.markdown,.txt,text/markdown">
+                    <div id="import-preview" class="hidden"></div>
+                </div>
+                <div class="settings-group">
+                    <label>${t('export_data_label')}</label>
+                    <button id="export-csv-btn" class="secondary-btn">${t('export_csv_btn')}</button>
+                    <button id="copy-md-btn" class="secondary-btn">${t('copy_md_btn')}</button>
+                </div>
+                <div class="settings-group">
+                    <label>${t('tags_label')}</label>
+                    <div id="tag-manager-list"></div>
+                    <button id="merge-tags-btn" class="secondary-btn" disabled>${t('merge_tags_btn')}</button>
+                    <button id="merge-case-duplicates-btn" class="secondary-btn hidden"></button>
+                </div>
+                <div class="settings-group">
+                    <label>${t('storage_health_label')}</label>
+                    <div id="storage-text" style="font-size:12px; color:#aaa;">${t('calculating_text')}</div>
+                    <div id="storage-compression-text" style="font-size:11px; color:#888;"></div>
+                    <div class="storage-bar-bg"><div id="storage-bar" class="storage-bar-fill"></div></div>
+                    <div id="storage-local-text" style="font-size:12px; color:#aaa;"></div>
+                    <div class="storage-bar-bg"><div id="storage-local-bar" class="storage-bar-fill"></div></div>
+                </div>
+                <div class="settings-group">
+                    <<label>${t('maintenance_label')}</label>
+                    <button id="btn-diag" class="secondary-btn">${t('download_diag_btn')}</button>
+                    <button id="btn-archive" class="secondary-btn btn-archive-warning">${t('archive_unlinked_btn')}</button>
+                    <button id="btn-prune" class="secondary-btn btn-prune-warning">${t('prune_unlinked_btn')}</button>
+                </div>
+                <div class="settings-group">
+                    <label>${t('trash_label')}</label>
+                    <div class="trash-retention">
+                        <span>${t('trash_retention_label')}</span>
+                        <select id="trash-retention-select"></select>
+                    </div>
+                    <div id="trash-list"></div>
+                    <button id="empty-trash-btn" class="secondary-btn btn-prune-warning">${t('empty_trash_btn')}</button>
+                </div>
+                <div class="settings-group">
+                    <label>${t('snapshots_label')}</label>
+                    <div id="snapshot-list"></div>
+                    <button id="take-snapshot-btn" class="secondary-btn">${t('take_snapshot_btn')}</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="panel-controls">
+            <div class="search-wrapper">
+                <input type="text" id="folder-search-input" placeholder="${t('search_placeholder')}" autocomplete="off">
+                <button id="search-help-btn" title="${t('search_syntax_title')}">?</button>
+                
+                <div id="search-help-tooltip" class="hidden">
+                    <div class="help-row">${t('help_row_term')}</div>
                     <div class="help-row">${t('help_row_tag')}</div>
+                    <div class="help-row">${t('help_row_tag_subtree')}</div>
                     <div class="help-row">${t('help_row_exclude')}</div>
                     <div class="help-row">${t('help_row_exclude_tag')}</div>
                     <div class="help-row">${t('help_row_include_phrase')}</div>
                     <div class="help-row">${t('help_row_exclude_phrase')}</div>
+                    <div class="help-row">${t('help_row_fields')}</div>
+                    <div class="help-row">${t('help_row_regex')}</div>
+                    <div class="help-row">${t('help_row_or')}</div>
+                    <div class="help-row">${t('help_row_created')}</div>
+                    <div class="help-row">${t('help_row_updated')}</div>
                 </div>
             </div>
-            <button id="create-folder-btn" class="primary-btn">${t('new_root_folder_btn')}</button>
+            <div class="folder-controls-row">
+                <button id="create-folder-btn" class="primary-btn">${t('new_root_folder_btn')}</button>
+                <button id="sort-folders-btn" title="${t('folder_sort_btn_tooltip')}">${t('folder_sort_btn_icon')}</button>
+                <button id="tag-tree-btn" title="${t('tag_tree_btn_tooltip')}">${t('tag_tree_btn_icon')}</button>
+            </div>
         </div>
         
+        <div id="sync-conflicts" class="hidden"></div>
+
         <div id="right-folder-list">
             <div class="loading-state">${t('loading_state_text')}</div>
         </div>
@@ -232,39 +1899,87 @@ function renderRightSidebar() {
                 <button id="cancel-save-btn">${t('cancel_btn')}</button>
             </div>
         </div>
+
+        <div id="maktaba-dialog" class="hidden"></div>
     `;
 
     document.body.appendChild(panel);
+
+    // Focusable so Ctrl+Z / Ctrl+Shift+Z reach the panel after clicking inside it.
+    panel.tabIndex = -1;
+    panel.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        // Text fields keep the browser's own undo, and an open dialog has to be answered first.
+        if (e.target.matches('input, textarea, [contenteditable="true"]')) return;
+        if (!document.getElementById('maktaba-dialog').classList.contains('hidden')) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.shiftKey) redoLastChange();
+        else undoLastChange();
+    });
+    // Capture phase, so the hotkey works while Gemini's prompt box has focus.
+    document.addEventListener('keydown', handlePaletteHotkey, true);
+    document.getElementById('right-folder-list').addEventListener('keydown', handleListKeydown);
+    document.getElementById('right-folder-list').addEventListener('scroll', () => {
+        renderChatListWindow();
+        rememberListScroll();
+    }, { passive: true });
     
     const floater = document.createElement('button');
     floater.id = 'maktaba-folder-floater';
     floater.innerHTML = `<img src="${iconUrl}" style="width: 24px; height: 24px;">`;
-    floater.onclick = () => { panel.classList.add('open'); floater.style.display = 'none'; };
+    floater.onclick = () => setPanelOpen(true);
     document.body.appendChild(floater);
 
-    document.getElementById('toggle-panel-btn').onclick = () => {
-        panel.classList.remove('open');
-        floater.style.display = 'flex';
-    };
+    document.getElementById('toggle-panel-btn').onclick = () => setPanelOpen(false);
+    document.getElementById('palette-btn').onclick = () => openCommandPalette();
     
     const settingsOverlay = document.getElementById('settings-overlay');
     
-    document.getElementById('settings-panel-btn').onclick = () => {
-        settingsOverlay.classList.remove('hidden');
-        updateStorageStats(); 
-        if (typeof updatePinnedManager === 'function') updatePinnedManager();
-    };
+    document.getElementById('settings-panel-btn').onclick = openSettings;
     document.getElementById('close-settings-btn').onclick = () => settingsOverlay.classList.add('hidden');
+    document.getElementById('empty-trash-btn').onclick = emptyTrash;
+    document.getElementById('take-snapshot-btn').onclick = () => takeSnapshot('manual', renderSnapshots);
+    document.getElementById('trash-retention-select').onchange = (e) => setTrashRetention(parseInt(e.target.value, 10));
 
     document.getElementById('export-json-btn').onclick = exportDataAsJSON;
-    document.getElementById('import-json-trigger').onclick = () => document.getElementById('import-file-input').click();
+    document.getElementById('import-json-trigger').onclick = () => {
+        const input = document.getElementById('import-file-input');
+        input.dataset.mode = 'overwrite';
+        input.click();
+    };
+    document.getElementById('merge-json-trigger').onclick = () => {
+        const input = document.getElementById('import-file-input');
+        input.dataset.mode = 'merge';
+        input.click();
+    };
     document.getElementById('import-file-input').onchange = importDataFromJSON;
+    document.getElementById('import-csv-trigger').onclick = () => document.getElementById('import-csv-input').click();
+    document.getElementById('import-csv-input').onchange = importDataFromCSV;
+    document.getElementById('import-md-trigger').onclick = () => document.getElementById('import-md-input').click();
+    document.getElementById('import-md-input').onchange = importDataFromMarkdown;
     document.getElementById('export-csv-btn').onclick = exportDataAsCSV;
     document.getElementById('copy-md-btn').onclick = copyDataAsMarkdown;
-    document.getElementById('create-folder-btn').onclick = () => createNewFolder(null); 
+    document.getElementById('create-folder-btn').onclick = () => createNewFolder(null);
+    document.getElementById('sort-folders-btn').onclick = (e) => {
+        e.stopPropagation();
+        showFolderSortMenu(e.clientX, e.clientY);
+    }; 
+    document.getElementById('tag-tree-btn').onclick = () => {
+        if (uiState.view === 'tags') refreshFolderList();
+        else showTagTree();
+    };
     document.getElementById('save-current-btn').onclick = showQuickSaveMenu;
     document.getElementById('cancel-save-btn').onclick = hideQuickSaveMenu;
     document.getElementById('folder-search-input').oninput = () => refreshFolderList();
+    document.getElementById('folder-search-input').onkeydown = (e) => {
+        if (e.key !== 'ArrowDown') return;
+        const first = getNavigableItems(document.getElementById('right-folder-list'))[0];
+        if (first) {
+            e.preventDefault();
+            focusListItem(first);
+        }
+    };
     document.getElementById('search-help-btn').onclick = (e) => {
         e.stopPropagation();
         const tooltip = document.getElementById('search-help-tooltip');
@@ -273,59 +1988,576 @@ function renderRightSidebar() {
     
     document.getElementById('btn-archive').onclick = archiveUnlinked;
 
-    document.addEventListener('click', (e) => {
-        const tooltip = document.getElementById('search-help-tooltip');
-        const btn = document.getElementById('search-help-btn');
-        if (tooltip && !tooltip.classList.contains('hidden') && e.target !== tooltip && e.target !== btn) {
-            tooltip.classList.add('hidden');
-        }
+    document.addEventListener('click', (e) => {
+        const tooltip = document.getElementById('search-help-tooltip');
+        const btn = document.getElementById('search-help-btn');
+        if (tooltip && !tooltip.classList.contains('hidden') && e.target !== tooltip && e.target !== btn) {
+            tooltip.classList.add('hidden');
+        }
+    });
+    document.getElementById('folder-search-input').value = uiState.searchText;
+    setPanelOpen(uiState.panelOpen);
+}
+
+/**
+ * Opens or closes the library panel, swapping it with the floating launcher button.
+ * @param {boolean} open
+ */
+function setPanelOpen(open) {
+    const panel = document.getElementById('maktaba-right-panel');
+    const floater = document.getElementById('maktaba-folder-floater');
+    if (!panel || !floater) return;
+    panel.classList.toggle('open', open);
+    floater.style.display = open ? 'none' : 'flex';
+    if (uiState.panelOpen !== open) {
+        uiState.panelOpen = open;
+        saveUiState();
+    }
+}
+
+/**
+ * Creates the view state of a panel that was never used on this device.
+ * @returns {Object}
+ */
+function createDefaultUiState() {
+    return { view: 'root', folderId: null, searchText: '', expandedFolderIds: [], expandedTagPaths: [], scrollTops: {}, panelOpen: true };
+}
+
+/**
+ * Reads the view state stored on this device into uiState, keeping defaults for anything missing.
+ * @param {function()} callback Called once uiState is set, also if storage could not be read.
+ */
+function readUiState(callback) {
+    chrome.storage.local.get([UI_STATE_KEY], (items) => {
+        if (chrome.runtime.lastError) console.warn(chrome.runtime.lastError);
+        else if (items[UI_STATE_KEY]) uiState = { ...createDefaultUiState(), ...items[UI_STATE_KEY] };
+        savedUiState = JSON.stringify(uiState);
+        callback();
     });
-    panel.classList.add('open');
-    floater.style.display = 'none';
+}
+
+/**
+ * Stores uiState once it has stopped changing for a moment, so scrolling and typing write once.
+ */
+function saveUiState() {
+    clearTimeout(uiStateSaveTimer);
+    uiStateSaveTimer = setTimeout(() => {
+        const json = JSON.stringify(uiState);
+        if (json === savedUiState || !chrome.runtime?.id) return;
+        chrome.storage.local.set({ [UI_STATE_KEY]: uiState }, () => {
+            if (chrome.runtime.lastError) return console.warn(chrome.runtime.lastError);
+            savedUiState = json;
+        });
+    }, UI_STATE_SAVE_DELAY_MS);
+}
+
+/**
+ * Shows the settings overlay and refreshes the sections that read storage.
+ */
+function openSettings() {
+    document.getElementById('settings-overlay').classList.remove('hidden');
+    updateStorageStats(); 
+    if (typeof updatePinnedManager === 'function') updatePinnedManager();
+    renderTagManager();
+    renderTrash();
+    renderSnapshots();
 }
 
 /**
  * Exports the current folder data as a downloadable JSON file.
+ * The in-memory library already holds the sync core merged with the local overflow tier.
  */
 function exportDataAsJSON() {
-    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(folderData, null, 2));
+    // Offloaded markers only mean something to the devices that hold those fields, so a restored
+    // backup must not keep them. Fields this device never received are missing from the file.
+    const data = JSON.parse(JSON.stringify(folderData));
+    let missingCount = 0;
+    Object.values(data.allChats).forEach(chat => {
+        if (!chat.offloaded) return;
+        missingCount++;
+        delete chat.offloaded;
+    });
+    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(data, null, 2));
     const downloadAnchorNode = document.createElement('a');
     downloadAnchorNode.setAttribute("href", dataStr);
     downloadAnchorNode.setAttribute("download", t('filename_backup_prefix') + getLocalFilenameTimestamp() + ".json");    document.body.appendChild(downloadAnchorNode);
     downloadAnchorNode.click();
     downloadAnchorNode.remove();
+    if (missingCount > 0) showToast(t('export_offloaded_missing_toast', [missingCount]));
 }
 
 /**
- * Imports folder data from a JSON file and overwrites local storage.
+ * Imports folder data from a JSON file. Overwrites local storage, or in merge mode
+ * previews a merge into the current library before saving.
+ * The backup is validated first; problems are reported and must be fixed before anything loads.
+ * Older backups are upgraded to the current schema; backups from a newer version are refused.
  * @param {Event} event The file input change event.
  */
 function importDataFromJSON(event) {
     const file = event.target.files[0];
     if (!file) return;
+    const mode = event.target.dataset.mode || 'overwrite';
 
     const reader = new FileReader();
     reader.onload = function(e) {
+        let importedData;
         try {
-            const importedData = JSON.parse(e.target.result);
-            if (importedData.folders && importedData.allChats) {
-                if (confirm(t('confirm_overwrite_backup'))) {
-                    folderData = importedData;
-                    saveAndRefresh();
-                    alert(t('backup_restore_success'));
-                    document.getElementById('settings-overlay').classList.add('hidden');
-                }
-            } else {
-                alert(t('invalid_backup_format'));
-            }
+            importedData = JSON.parse(e.target.result);
         } catch (error) {
-            alert(t('json_parse_error'));
+            return alert(t('json_parse_error'));
+        }
+
+        // Checked before validation, which only knows this version's format.
+        if (importedData && importedData.schemaVersion > SCHEMA_VERSION) {
+            return alert(t('backup_too_new_alert', [importedData.schemaVersion, SCHEMA_VERSION]));
         }
+
+        const issues = validateBackup(importedData);
+        if (issues.length === 0) return applyImportedLibrary(migrateLibrary(importedData), mode);
+
+        showValidationReport(issues, () => {
+            const remaining = repairBackup(importedData);
+            if (remaining.length > 0) showValidationReport(remaining, null);
+            else applyImportedLibrary(migrateLibrary(importedData), mode);
+        });
     };
     reader.readAsText(file);
     event.target.value = '';
 }
 
+/**
+ * Loads a validated backup, either replacing the library or previewing a merge.
+ * @param {Object} migrated The backup, upgraded to the current schema.
+ * @param {'overwrite'|'merge'} mode
+ */
+function applyImportedLibrary(migrated, mode) {
+    if (mode === 'merge') {
+        showImportPreview(planLibraryMerge(folderData, migrated), (library) => planLibraryMerge(library, migrated));
+    } else {
+        showConfirmDialog(t('confirm_overwrite_backup'), () => {
+            takeSnapshot('import');
+            folderData = migrated;
+            saveAndRefresh();
+            alert(t('backup_restore_success'));
+            document.getElementById('settings-overlay').classList.add('hidden');
+        }, { confirmLabel: t('dialog_replace_btn'), danger: true });
+    }
+}
+
+/**
+ * Checks a backup against the library format and lists every problem with its JSON path.
+ * Problems that can be repaired carry a fix function that mutates the backup in place.
+ * @param {*} data Parsed backup file.
+ * @returns {{path: string, problem: string, fixLabel: string|null, fix: function|null}[]}
+ */
+function validateBackup(data) {
+    const issues = [];
+    const report = (path, problem, fixLabel, fix) => {
+        issues.push({ path, problem, fixLabel: fixLabel || null, fix: fix || null });
+    };
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const removeFrom = (list, item) => {
+        const index = list.indexOf(item);
+        if (index >= 0) list.splice(index, 1);
+    };
+
+    if (!isObject(data)) {
+        report('$', t('validation_not_object'));
+        return issues;
+    }
+    if (data.schemaVersion !== undefined && !(Number.isInteger(data.schemaVersion) && data.schemaVersion >= 0)) {
+        report('$.schemaVersion', t('validation_bad_version'));
+    }
+    if (data.folderSortOrder !== undefined && !FOLDER_SORT_ORDERS.includes(data.folderSortOrder)) {
+        report('$.folderSortOrder', t('validation_bad_sort'), t('validation_fix_default_sort'), () => { delete data.folderSortOrder; });
+    }
+    if (!Array.isArray(data.folders)) report('$.folders', t('validation_not_array'));
+    if (!isObject(data.allChats)) report('$.allChats', t('validation_not_object'));
+    if (!Array.isArray(data.folders) || !isObject(data.allChats)) return issues;
+
+    let nextId = Date.now();
+    const seenIds = new Set();
+    const checkFolders = (list, path) => {
+        list.forEach((folder, i) => {
+            const p = `${path}[${i}]`;
+            if (!isObject(folder)) {
+                report(p, t('validation_not_object'), t('validation_fix_remove'), () => removeFrom(list, folder));
+                return;
+            }
+
+            const hasValidId = (typeof folder.id === 'number' && Number.isFinite(folder.id)) ||
+                (typeof folder.id === 'string' && folder.id.trim() !== '');
+            if (!hasValidId || seenIds.has(String(folder.id))) {
+                const problem = hasValidId ? t('validation_duplicate_id') : t('validation_bad_id');
+                report(`${p}.id`, problem, t('validation_fix_new_id'), () => { folder.id = nextId++; });
+            } else {
+                seenIds.add(String(folder.id));
+            }
+
+            if (typeof folder.name !== 'string' || folder.name.trim() === '') {
+                report(`${p}.name`, t('validation_missing_name'), t('validation_fix_default_name'), () => {
+                    folder.name = t('untitled_folder_name');
+                });
+            }
+
+            if (!Array.isArray(folder.chatIds)) {
+                report(`${p}.chatIds`, t('validation_not_array'), t('validation_fix_empty_list'), () => { folder.chatIds = []; });
+            } else {
+                const dangling = folder.chatIds.filter(id => typeof id !== 'string' || !isObject(data.allChats[id]));
+                if (dangling.length > 0) {
+                    report(`${p}.chatIds`, t('validation_dangling_chats', [dangling.length]), t('validation_fix_remove_refs'), () => {
+                        folder.chatIds = folder.chatIds.filter(id => !dangling.includes(id));
+                    });
+                }
+            }
+
+            if (folder.query !== undefined && typeof folder.query !== 'string') {
+                report(`${p}.query`, t('validation_not_string'), t('validation_fix_remove'), () => { delete folder.query; });
+            } else if (typeof folder.query === 'string' && Array.isArray(folder.chatIds) && folder.chatIds.length > 0) {
+                report(`${p}.chatIds`, t('validation_smart_folder_chats'), t('validation_fix_empty_list'), () => { folder.chatIds = []; });
+            }
+
+            if (folder.annotation !== undefined && typeof folder.annotation !== 'string') {
+                report(`${p}.annotation`, t('validation_not_string'), t('validation_fix_to_text'), () => {
+                    folder.annotation = folder.annotation === null ? '' : String(folder.annotation);
+                });
+            }
+            if (folder.sortOrder !== undefined && !CHAT_SORT_ORDERS.includes(folder.sortOrder)) {
+                report(`${p}.sortOrder`, t('validation_bad_sort'), t('validation_fix_default_sort'), () => { delete folder.sortOrder; });
+            }
+            if (folder.folderSortOrder !== undefined && !FOLDER_SORT_ORDERS.includes(folder.folderSortOrder)) {
+                report(`${p}.folderSortOrder`, t('validation_bad_sort'), t('validation_fix_default_sort'), () => { delete folder.folderSortOrder; });
+            }
+
+            if (folder.subfolders === undefined || !Array.isArray(folder.subfolders)) {
+                report(`${p}.subfolders`, t('validation_not_array'), t('validation_fix_empty_list'), () => { folder.subfolders = []; });
+            } else {
+                checkFolders(folder.subfolders, `${p}.subfolders`);
+            }
+        });
+    };
+    checkFolders(data.folders, '$.folders');
+
+    Object.keys(data.allChats).forEach(key => {
+        const chat = data.allChats[key];
+        const p = `$.allChats[${JSON.stringify(key)}]`;
+        if (!isObject(chat)) {
+            report(p, t('validation_not_object'), t('validation_fix_remove'), () => { delete data.allChats[key]; });
+            return;
+        }
+
+        if (chat.id !== key) {
+            report(`${p}.id`, t('validation_id_mismatch'), t('validation_fix_id_from_key'), () => { chat.id = key; });
+        }
+        if (typeof chat.title !== 'string' || chat.title.trim() === '') {
+            report(`${p}.title`, t('validation_missing_title'), t('validation_fix_default_title'), () => {
+                chat.title = t('untitled_chat_fallback');
+            });
+        }
+
+        if (!Array.isArray(chat.tags)) {
+            report(`${p}.tags`, t('validation_not_array'), t('validation_fix_tags'), () => {
+                chat.tags = typeof chat.tags === 'string' ? chat.tags.split(',') : [];
+                chat.tags = chat.tags.map(tag => tag.trim().replace(/^#+/, '')).filter(tag => tag).map(tag => `#${tag}`);
+            });
+        } else if (chat.tags.some(tag => typeof tag !== 'string' || !/^#[^#]/.test(tag))) {
+            report(`${p}.tags`, t('validation_bad_tags'), t('validation_fix_tags'), () => {
+                chat.tags = chat.tags
+                    .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+                    .map(tag => String(tag).trim().replace(/^#+/, ''))
+                    .filter(tag => tag)
+                    .map(tag => `#${tag}`);
+            });
+        }
+
+        if (chat.annotation !== undefined && typeof chat.annotation !== 'string') {
+            report(`${p}.annotation`, t('validation_not_string'), t('validation_fix_to_text'), () => {
+                chat.annotation = chat.annotation === null ? '' : String(chat.annotation);
+            });
+        }
+        if (typeof chat.timestamp !== 'number' || !Number.isFinite(chat.timestamp)) {
+            report(`${p}.timestamp`, t('validation_bad_date'), t('validation_fix_date'), () => {
+                chat.timestamp = Number.isFinite(chat.updatedAt) ? chat.updatedAt : Date.now();
+            });
+        }
+        if (chat.updatedAt !== undefined && (typeof chat.updatedAt !== 'number' || !Number.isFinite(chat.updatedAt))) {
+            report(`${p}.updatedAt`, t('validation_bad_date'), t('validation_fix_remove'), () => { delete chat.updatedAt; });
+        }
+    });
+
+    if (data.pinnedSearches !== undefined) {
+        if (!Array.isArray(data.pinnedSearches)) {
+            report('$.pinnedSearches', t('validation_not_array'), t('validation_fix_empty_list'), () => { data.pinnedSearches = []; });
+        } else {
+            const pins = data.pinnedSearches;
+            pins.forEach((pin, i) => {
+                const p = `$.pinnedSearches[${i}]`;
+                if (!isObject(pin) || typeof pin.query !== 'string' || pin.query.trim() === '') {
+                    report(p, t('validation_bad_pin'), t('validation_fix_remove'), () => removeFrom(pins, pin));
+                } else if (typeof pin.title !== 'string' || pin.title.trim() === '') {
+                    report(`${p}.title`, t('validation_missing_title'), t('validation_fix_pin_title'), () => { pin.title = pin.query; });
+                }
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Applies every available fix to a backup, re-validating until nothing more can be repaired.
+ * @param {Object} data The backup, repaired in place.
+ * @returns {Object[]} Problems that remain after repair.
+ */
+function repairBackup(data) {
+    let issues = validateBackup(data);
+    // Some fixes surface new problems (e.g. removing a chat leaves dangling folder references).
+    for (let pass = 0; pass < 5 && issues.some(issue => issue.fix); pass++) {
+        issues.filter(issue => issue.fix).forEach(issue => issue.fix());
+        issues = validateBackup(data);
+    }
+    return issues;
+}
+
+/**
+ * Renders the validation report in the settings overlay.
+ * The fix action is only offered when every listed problem can be repaired automatically.
+ * @param {Object[]} issues Result of validateBackup.
+ * @param {function|null} onFix Called when the user accepts the automatic fixes.
+ */
+function showValidationReport(issues, onFix) {
+    const preview = document.getElementById('import-preview');
+    if (!preview) return;
+
+    const canFix = onFix && issues.every(issue => issue.fix);
+    preview.innerHTML = `
+        <div class="import-preview-header">${t('validation_report_header', [issues.length])}</div>
+        <div class="import-preview-status"></div>
+        <div class="import-preview-body"></div>
+        <div class="import-preview-actions">
+            ${canFix ? `<button id="fix-import-btn" class="secondary-btn">${t('validation_fix_btn', [issues.length])}</button>` : ''}
+            <button id="cancel-import-btn" class="secondary-btn">${t('cancel_btn')}</button>
+        </div>
+    `;
+
+    preview.querySelector('.import-preview-status').textContent = canFix ? t('validation_fixable_msg') : t('validation_blocked_msg');
+
+    const body = preview.querySelector('.import-preview-body');
+    issues.forEach(issue => {
+        const row = document.createElement('div');
+        row.className = 'import-preview-item validation-issue';
+        row.textContent = issue.fixLabel
+            ? t('validation_issue_fixable_row', [issue.path, issue.problem, issue.fixLabel])
+            : t('validation_issue_row', [issue.path, issue.problem]);
+        row.title = row.textContent;
+        body.appendChild(row);
+    });
+
+    preview.classList.remove('hidden');
+
+    const closeReport = () => {
+        preview.classList.add('hidden');
+        preview.innerHTML = '';
+    };
+    document.getElementById('cancel-import-btn').onclick = closeReport;
+    if (canFix) {
+        document.getElementById('fix-import-btn').onclick = () => {
+            closeReport();
+            onFix();
+        };
+    }
+}
+
+/**
+ * Plans a merge of an imported library into the current one without touching folderData.
+ * Folders match by ID, or by name under the same parent path; chat metadata keeps the side
+ * with the newer updatedAt; tags are combined as a union.
+ * @param {Object} local The current library.
+ * @param {Object} incoming The imported library, already migrated.
+ * @returns {{result: Object, added: Object<string, string[]>, updated: Object<string, string[]>, conflicts: {label: string, reason: string}[]}}
+ */
+function planLibraryMerge(local, incoming) {
+    const result = JSON.parse(JSON.stringify(local));
+    const plan = {
+        result,
+        added: { folders: [], chats: [], pins: [] },
+        updated: { folders: [], chats: [] },
+        conflicts: []
+    };
+
+    const foldersById = new Map();
+    const indexFolders = (list) => list.forEach(f => {
+        foldersById.set(String(f.id), f);
+        indexFolders(f.subfolders || []);
+    });
+    indexFolders(result.folders);
+
+    const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+    const mergeFolders = (incomingList, targetList, parentPath) => {
+        incomingList.forEach(src => {
+            let target = foldersById.get(String(src.id)) || targetList.find(f => sameName(f.name, src.name));
+            const path = parentPath ? `${parentPath} > ${(target || src).name}` : (target || src).name;
+
+            if (target) {
+                const newIds = (src.chatIds || []).filter(id => !target.chatIds.includes(id));
+                let changed = newIds.length > 0;
+                target.chatIds.push(...newIds);
+                if (src.annotation && src.annotation !== target.annotation) {
+                    if (!target.annotation) {
+                        target.annotation = src.annotation;
+                        changed = true;
+                    } else {
+                        plan.conflicts.push({ label: path, reason: t('merge_conflict_folder_note') });
+                    }
+                }
+                if (changed) plan.updated.folders.push(path);
+            } else {
+                target = { ...src, chatIds: [...(src.chatIds || [])], subfolders: [] };
+                targetList.push(target);
+                foldersById.set(String(target.id), target);
+                plan.added.folders.push(path);
+            }
+            mergeFolders(src.subfolders || [], target.subfolders, path);
+        });
+    };
+    mergeFolders(incoming.folders, result.folders, '');
+
+    const timeOf = (chat) => chat.updatedAt || chat.timestamp || 0;
+    Object.keys(incoming.allChats).forEach(id => {
+        const src = incoming.allChats[id];
+        const dst = result.allChats[id];
+        if (!dst) {
+            result.allChats[id] = JSON.parse(JSON.stringify(src));
+            plan.added.chats.push(src.title);
+            return;
+        }
+
+        const tags = Array.from(new Set([...(dst.tags || []), ...(src.tags || [])]));
+        let changed = tags.length !== (dst.tags || []).length;
+        dst.tags = tags;
+
+        const differs = ['title', 'annotation', 'excerpts'].some(field => {
+            return JSON.stringify(src[field] || '') !== JSON.stringify(dst[field] || '');
+        });
+        if (differs) {
+            if (timeOf(src) > timeOf(dst)) {
+                ['title', 'annotation', 'excerpts'].forEach(field => {
+                    if (src[field] !== undefined) dst[field] = src[field];
+                });
+                changed = true;
+            } else {
+                const reason = timeOf(src) === timeOf(dst) ? t('merge_conflict_same_time') : t('merge_conflict_local_newer');
+                plan.conflicts.push({ label: dst.title, reason });
+            }
+        }
+
+        if (changed) {
+            dst.timestamp = Math.min(dst.timestamp || Date.now(), src.timestamp || Date.now());
+            dst.updatedAt = Math.max(timeOf(dst), timeOf(src));
+            plan.updated.chats.push(dst.title);
+        }
+    });
+
+    (incoming.pinnedSearches || []).forEach(pin => {
+        if (result.pinnedSearches.some(p => p.query === pin.query)) return;
+        if (result.pinnedSearches.length >= PIN_LIMIT) {
+            plan.conflicts.push({ label: pin.title, reason: t('merge_conflict_pin_limit') });
+            return;
+        }
+        result.pinnedSearches.push({ ...pin, id: Date.now() + result.pinnedSearches.length });
+        plan.added.pins.push(pin.title);
+    });
+
+    return plan;
+}
+
+/**
+ * Renders a merge plan in the settings overlay and applies it only when the user confirms.
+ * Applying plans the import again, so changes that arrived from other tabs meanwhile are kept.
+ * @param {Object} plan Result of planLibraryMerge, or a plan in the same shape.
+ * @param {function(Object): Object} replan Builds the same plan against another library.
+ */
+function showImportPreview(plan, replan) {
+    const preview = document.getElementById('import-preview');
+    if (!preview) return;
+
+    const addedCount = plan.added.folders.length + plan.added.chats.length + plan.added.pins.length;
+    const updatedCount = plan.updated.folders.length + plan.updated.chats.length;
+
+    preview.innerHTML = `
+        <div class="import-preview-header">${t('merge_preview_header')}</div>
+        <div class="import-preview-body"></div>
+        <div class="import-preview-actions">
+            <button id="apply-merge-btn" class="secondary-btn">${t('merge_apply_btn')}</button>
+            <button id="cancel-merge-btn" class="secondary-btn">${t('cancel_btn')}</button>
+        </div>
+    `;
+
+    const body = preview.querySelector('.import-preview-body');
+    const MAX_LINES = 20;
+
+    /**
+     * Appends a titled list of plain-text lines to the preview.
+     * @param {string} heading
+     * @param {string[]} lines
+     */
+    const addSection = (heading, lines) => {
+        const section = document.createElement('div');
+        section.className = 'import-preview-section';
+        const title = document.createElement('div');
+        title.className = 'import-preview-heading';
+        title.textContent = heading;
+        section.appendChild(title);
+
+        lines.slice(0, MAX_LINES).forEach(line => {
+            const row = document.createElement('div');
+            row.className = 'import-preview-item';
+            row.textContent = line;
+            row.title = line;
+            section.appendChild(row);
+        });
+        if (lines.length > MAX_LINES) {
+            const more = document.createElement('div');
+            more.className = 'import-preview-item';
+            more.textContent = t('merge_preview_more', [lines.length - MAX_LINES]);
+            section.appendChild(more);
+        }
+        body.appendChild(section);
+    };
+
+    addSection(t('merge_preview_added', [addedCount]), [
+        ...plan.added.folders.map(name => t('merge_preview_folder_item', [name])),
+        ...plan.added.chats.map(title => t('merge_preview_chat_item', [title])),
+        ...plan.added.pins.map(title => t('merge_preview_pin_item', [title]))
+    ]);
+    addSection(t('merge_preview_updated', [updatedCount]), [
+        ...plan.updated.folders.map(name => t('merge_preview_folder_item', [name])),
+        ...plan.updated.chats.map(title => t('merge_preview_chat_item', [title]))
+    ]);
+    addSection(t('merge_preview_conflicts', [plan.conflicts.length]), plan.conflicts.map(c => t('merge_preview_conflict_item', [c.label, c.reason])));
+
+    preview.classList.remove('hidden');
+
+    const closePreview = () => {
+        preview.classList.add('hidden');
+        preview.innerHTML = '';
+    };
+    document.getElementById('cancel-merge-btn').onclick = closePreview;
+    document.getElementById('apply-merge-btn').onclick = () => {
+        const current = replan(folderData);
+        takeSnapshot('import');
+        folderData = current.result;
+        saveAndRefresh();
+        closePreview();
+        alert(t('merge_success_alert', [
+            current.added.folders.length + current.added.chats.length + current.added.pins.length,
+            current.updated.folders.length + current.updated.chats.length
+        ]));
+        document.getElementById('settings-overlay').classList.add('hidden');
+    };
+}
+
 /**
  * Exports chat data into a CSV format for spreadsheet analysis.
  */
@@ -344,40 +2576,329 @@ function exportDataAsCSV() {
         return escaped;
     };
 
-    /**
-     * Recursively processes folders to build CSV rows.
-     * @param {Folder} folder
-     * @param {string} pathPrefix
-     */
-    const processFolder = (folder, pathPrefix) => {
-        const currentPath = pathPrefix ? `${pathPrefix} > ${folder.name}` : folder.name;
-        
-        if (folder.chatIds) {
-            folder.chatIds.forEach(id => {
-                const chat = folderData.allChats[id];
-                if (chat) {
-                    const url = `https://gemini.google.com/app/${chat.id}`;
-                    const tags = chat.tags ? chat.tags.join(", ") : "";
-                    csvContent += `${escapeCsv(currentPath)},${escapeCsv(chat.title)},${escapeCsv(url)},${escapeCsv(tags)},${escapeCsv(chat.annotation)}\n`;
-                }
-            });
-        }
-        
-        if (folder.subfolders) {
-            folder.subfolders.forEach(sf => processFolder(sf, currentPath));
-        }
+    /**
+     * Recursively processes folders to build CSV rows. A smart folder lists the chats matching its query.
+     * @param {Folder} folder
+     * @param {string} pathPrefix
+     */
+    const processFolder = (folder, pathPrefix) => {
+        const currentPath = pathPrefix ? `${pathPrefix} > ${folder.name}` : folder.name;
+        
+        getFolderChatIds(folder).forEach(id => {
+            const chat = folderData.allChats[id];
+            if (chat) {
+                const url = `https://gemini.google.com/app/${chat.id}`;
+                const tags = chat.tags ? chat.tags.join(", ") : "";
+                csvContent += `${escapeCsv(currentPath)},${escapeCsv(chat.title)},${escapeCsv(url)},${escapeCsv(tags)},${escapeCsv(chat.annotation)}\n`;
+            }
+        });
+        
+        if (folder.subfolders) {
+            folder.subfolders.forEach(sf => processFolder(sf, currentPath));
+        }
+    };
+
+    folderData.folders.forEach(f => processFolder(f, ""));
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute("download", `${t('filename_csv_prefix')}${getLocalFilenameTimestamp()}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Reads a CSV file in the exportDataAsCSV layout and previews the changes before saving.
+ * @param {Event} event The file input change event.
+ */
+function importDataFromCSV(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const text = e.target.result;
+        const plan = planCsvImport(folderData, text);
+        if (plan.added.chats.length + plan.updated.chats.length === 0) return alert(t('csv_no_rows_alert'));
+        showImportPreview(plan, (library) => planCsvImport(library, text));
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields, doubled quotes,
+ * embedded commas and newlines, CRLF line endings and a leading BOM.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Starts an import plan on a copy of the library. Importers resolve folders and upsert chats
+ * through it, then call finish() to get a plan in the shape returned by planLibraryMerge.
+ * @param {Object} local The current library.
+ * @returns {{plan: Object, resolveFolder: function(string[]): Folder|null, upsertChat: function(string, Object): void, linkChat: function(Folder, string): void, finish: function(): Object}}
+ */
+function createImportPlan(local) {
+    const result = JSON.parse(JSON.stringify(local));
+    const plan = {
+        result,
+        added: { folders: [], chats: [], pins: [] },
+        updated: { folders: [], chats: [] },
+        conflicts: []
+    };
+    const addedChats = new Set();
+    const updatedChats = new Set();
+    let nextFolderId = Date.now();
+
+    return {
+        plan,
+
+        /**
+         * Finds or creates the folder chain for a list of names from the root, matching names case-insensitively.
+         * @param {string[]} names
+         * @returns {Folder|null}
+         */
+        resolveFolder(names) {
+            const resolvedNames = [];
+            let siblings = result.folders;
+            let folder = null;
+            names.forEach(name => {
+                folder = siblings.find(f => f.name.trim().toLowerCase() === name.toLowerCase());
+                if (!folder) {
+                    folder = { id: nextFolderId++, name, chatIds: [], subfolders: [], annotation: '' };
+                    siblings.push(folder);
+                    plan.added.folders.push([...resolvedNames, name].join(' > '));
+                }
+                resolvedNames.push(folder.name);
+                if (!folder.subfolders) folder.subfolders = [];
+                siblings = folder.subfolders;
+            });
+            return folder;
+        },
+
+        /**
+         * Creates a chat or updates the given fields of an existing one. Omitted fields are left untouched.
+         * @param {string} chatId
+         * @param {{title?: string, tags?: string[], annotation?: string}} fields
+         */
+        upsertChat(chatId, fields) {
+            const existing = result.allChats[chatId];
+            if (!existing) {
+                result.allChats[chatId] = {
+                    id: chatId,
+                    title: fields.title || t('untitled_chat_fallback'),
+                    tags: fields.tags || [],
+                    annotation: fields.annotation || '',
+                    timestamp: Date.now(),
+                    updatedAt: Date.now()
+                };
+                addedChats.add(chatId);
+                return;
+            }
+
+            const changed = Object.keys(fields).filter(field => {
+                return fields[field] !== undefined && JSON.stringify(existing[field] || '') !== JSON.stringify(fields[field]);
+            });
+            if (changed.length === 0) return;
+            changed.forEach(field => { existing[field] = fields[field]; });
+            existing.updatedAt = Date.now();
+            if (!addedChats.has(chatId)) updatedChats.add(chatId);
+        },
+
+        /**
+         * Adds a chat reference to a folder if it is not there yet. Smart folders hold no references,
+         * so a chat listed under one in an export is only added or updated.
+         * @param {Folder} folder
+         * @param {string} chatId
+         */
+        linkChat(folder, chatId) {
+            if (folder && !isSmartFolder(folder) && !folder.chatIds.includes(chatId)) folder.chatIds.push(chatId);
+        },
+
+        finish() {
+            plan.added.chats = Array.from(addedChats).map(id => result.allChats[id].title);
+            plan.updated.chats = Array.from(updatedChats).map(id => result.allChats[id].title);
+            return plan;
+        }
+    };
+}
+
+/**
+ * Plans a CSV import (Folder Path, Title, URL, Tags, Note) against a library without touching it.
+ * Folder paths are split on " > " and created when missing; existing chats are updated in place.
+ * @param {Object} local The current library.
+ * @param {string} text Raw CSV text.
+ * @returns {Object} A plan in the shape returned by planLibraryMerge.
+ */
+function planCsvImport(local, text) {
+    const importer = createImportPlan(local);
+
+    parseCsv(text).forEach((row, index) => {
+        const [path = '', title = '', url = '', tagText = '', note = ''] = row;
+        const chatId = extractChatId(url);
+        if (!chatId) {
+            // The header row (in any language) carries no chat link, so it is skipped silently.
+            if (index > 0) importer.plan.conflicts.push({ label: t('csv_row_label', [index + 1]), reason: t('csv_skip_no_link') });
+            return;
+        }
+
+        const names = path.split(' > ').map(name => name.trim()).filter(name => name);
+        if (!importer.plan.result.allChats[chatId] && names.length === 0) {
+            importer.plan.conflicts.push({ label: t('csv_row_label', [index + 1]), reason: t('csv_skip_no_folder') });
+            return;
+        }
+
+        importer.upsertChat(chatId, {
+            title: title.trim() || undefined,
+            // Commas separate tags, as in exportDataAsCSV; a tag may contain spaces.
+            tags: parseTagInput(tagText),
+            annotation: note
+        });
+        if (names.length > 0) importer.linkChat(importer.resolveFolder(names), chatId);
+    });
+
+    return importer.finish();
+}
+
+/**
+ * Reads a Markdown file (a copyDataAsMarkdown outline, an Obsidian note or any other Markdown)
+ * and previews the changes before saving.
+ * @param {Event} event The file input change event.
+ */
+function importDataFromMarkdown(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const text = e.target.result;
+        const sourceName = file.name.replace(/\.[^.]+$/, '');
+        const plan = planMarkdownImport(folderData, text, sourceName);
+        if (plan.added.chats.length + plan.updated.chats.length + plan.added.folders.length === 0) {
+            return alert(t('md_no_links_alert'));
+        }
+        showImportPreview(plan, (library) => planMarkdownImport(library, text, sourceName));
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Plans a Markdown import against a library without touching it.
+ * Nested "* **Folder**" bullets become the folder hierarchy and "* [Title](gemini link) _(note)_ #tags"
+ * items become chats with their note and tags. Any other Gemini link in the file is added to the
+ * enclosing outline folder, or to a folder named after the file.
+ * @param {Object} local The current library.
+ * @param {string} text Raw Markdown.
+ * @param {string} sourceName File name without extension, used for the fallback folder.
+ * @returns {Object} A plan in the shape returned by planLibraryMerge.
+ */
+function planMarkdownImport(local, text, sourceName) {
+    const importer = createImportPlan(local);
+    const fallbackNames = [t('md_import_folder_name', [sourceName || t('untitled_folder_name')])];
+    /** @type {{depth: number, names: string[]}[]} Open outline folders, innermost last. */
+    const stack = [];
+
+    const indentDepth = (indent) => Math.floor(indent.replace(/\t/g, '  ').length / 2);
+    const currentNames = () => stack.length > 0 ? stack[stack.length - 1].names : fallbackNames;
+    const closeTo = (depth) => {
+        while (stack.length > 0 && stack[stack.length - 1].depth >= depth) stack.pop();
     };
 
-    folderData.folders.forEach(f => processFolder(f, ""));
+    text.split(/\r?\n/).forEach(line => {
+        const bullet = line.match(/^(\s*)[*+-]\s+(.*)$/);
+        if (bullet) {
+            const depth = indentDepth(bullet[1]);
+            const content = bullet[2].trim();
+
+            const folderMatch = content.match(/^\*\*(.+)\*\*$/);
+            if (folderMatch) {
+                closeTo(depth);
+                const names = [...(stack.length > 0 ? stack[stack.length - 1].names : []), folderMatch[1].trim()];
+                importer.resolveFolder(names);
+                stack.push({ depth, names });
+                return;
+            }
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.setAttribute("href", url);
-    link.setAttribute("download", `${t('filename_csv_prefix')}${getLocalFilenameTimestamp()}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+            const chatMatch = content.match(/^\[(.*?)\]\((\S+?)\)(.*)$/);
+            const chatId = chatMatch ? extractChatId(chatMatch[2]) : null;
+            if (chatId && /gemini\.google\.com/.test(chatMatch[2])) {
+                closeTo(depth);
+                let rest = chatMatch[3];
+                const noteMatch = rest.match(/_\((.*)\)_/);
+                if (noteMatch) rest = rest.replace(noteMatch[0], '');
+                // Outside a CSV cell nothing delimits a tag but whitespace, so each #word is a tag.
+                const tags = rest.match(/#[^\s#]+/g) || [];
+
+                importer.upsertChat(chatId, {
+                    title: chatMatch[1].trim() || undefined,
+                    tags: parseTagInput(tags.join(',')),
+                    annotation: noteMatch ? noteMatch[1].trim() : ''
+                });
+                importer.linkChat(importer.resolveFolder(currentNames()), chatId);
+                return;
+            }
+        } else if (line.trim() !== '') {
+            // Prose ends the outline; links in it belong to the file's folder.
+            stack.length = 0;
+        }
+
+        const linkPattern = /\[([^\]]*)\]\((https?:\/\/gemini\.google\.com\/[^)\s]+)\)|(https?:\/\/gemini\.google\.com\/[^\s)>\]]+)/g;
+        let link;
+        while ((link = linkPattern.exec(line)) !== null) {
+            const chatId = extractChatId(link[2] || link[3]);
+            if (!chatId) continue;
+            // Arbitrary link text should not rename a chat that is already in the library.
+            const isKnown = !!importer.plan.result.allChats[chatId];
+            importer.upsertChat(chatId, isKnown ? {} : { title: (link[1] || '').trim() || undefined });
+            importer.linkChat(importer.resolveFolder(currentNames()), chatId);
+        }
+    });
+
+    return importer.finish();
 }
 
 /**
@@ -387,28 +2908,27 @@ function copyDataAsMarkdown() {
     let mdContent = t('md_export_header');
 
     /**
-     * Recursively processes folders to build Markdown.
+     * Recursively processes folders to build Markdown. A smart folder shows its query above the chats matching it.
      * @param {Folder} folder
      * @param {number} level Indentation level.
      */
     const processFolder = (folder, level) => {
         const indent = "  ".repeat(level);
         mdContent += `${indent}* **${folder.name}**\n`;
+        if (isSmartFolder(folder)) mdContent += `${indent}  * ${t('md_smart_folder_query', [folder.query])}\n`;
         
-        if (folder.chatIds) {
-            folder.chatIds.forEach(id => {
-                const chat = folderData.allChats[id];
-                if (chat) {
-                    const url = `https://gemini.google.com/app/${chat.id}`;
-                                        const tags = (chat.tags && chat.tags.length) 
-                        ? ` ${chat.tags.map(t => t.startsWith('#') ? t : `#${t}`).join(' ')}` 
-                        : "";
-
-                    const note = chat.annotation ? ` _(${chat.annotation})_` : "";
-                    mdContent += `${indent}  * [${chat.title}](${url})${note}${tags}\n`;
-                }
-            });
-        }
+        getFolderChatIds(folder).forEach(id => {
+            const chat = folderData.allChats[id];
+            if (chat) {
+                const url = `https://gemini.google.com/app/${chat.id}`;
+                const tags = (chat.tags && chat.tags.length) 
+                    ? ` ${chat.tags.map(t => t.startsWith('#') ? t : `#${t}`).join(' ')}` 
+                    : "";
+
+                const note = chat.annotation ? ` _(${chat.annotation})_` : "";
+                mdContent += `${indent}  * [${chat.title}](${url})${note}${tags}\n`;
+            }
+        });
 
         if (folder.subfolders) {
             folder.subfolders.forEach(sf => processFolder(sf, level + 1));
@@ -425,83 +2945,330 @@ function copyDataAsMarkdown() {
     });
 }
 
+/**
+ * Renders the view the panel list is on again, e.g. after the library changed in another tab.
+ * A folder view that lost its folder falls back to the dashboard or search.
+ */
+function refreshCurrentView() {
+    if (!libraryLoaded) return showLibrarySyncing();
+    if (uiState.view === 'folder' && getFolderContext(uiState.folderId)) showFolderContents(uiState.folderId);
+    else if (uiState.view === 'tags') showTagTree();
+    else refreshFolderList();
+}
+
+/**
+ * Records the view the panel list now shows. When it is not the view that was on screen before,
+ * the list is scrolled to where that view was left.
+ * @param {'root'|'folder'|'search'|'tags'} view
+ * @param {number|string|null} [folderId] The folder of a folder view.
+ */
+function rememberView(view, folderId = null) {
+    const searchInput = document.getElementById('folder-search-input');
+    const key = view === 'folder' ? `folder:${folderId}` : view;
+    uiState.view = view;
+    uiState.folderId = view === 'folder' ? String(folderId) : null;
+    uiState.searchText = searchInput ? searchInput.value : '';
+    if (key !== renderedViewKey) {
+        renderedViewKey = key;
+        document.getElementById('right-folder-list').scrollTop = uiState.scrollTops[key] || 0;
+        renderChatListWindow();
+    }
+    saveUiState();
+}
+
+/**
+ * Stores the scroll position of the view on screen, forgetting the views scrolled longest ago.
+ */
+function rememberListScroll() {
+    if (!renderedViewKey) return;
+    const scrollTops = uiState.scrollTops;
+    // Re-adding the key moves it to the end, so the object stays ordered by recency.
+    delete scrollTops[renderedViewKey];
+    scrollTops[renderedViewKey] = document.getElementById('right-folder-list').scrollTop;
+    const keys = Object.keys(scrollTops);
+    keys.slice(0, keys.length - UI_STATE_SCROLL_LIMIT).forEach(key => delete scrollTops[key]);
+    saveUiState();
+}
+
 /**
  * Main UI refresh logic. Switches between dashboard and search views.
+ * Only folder cards, pins and chat rows that changed since the last render are rebuilt.
  */
 function refreshFolderList() {
     const list = document.getElementById('right-folder-list');
     const searchInput = document.getElementById('folder-search-input');
     if (!list) return;
+    if (!libraryLoaded) return showLibrarySyncing();
+    const startedAt = performance.now();
 
-    const rawTerm = searchInput ? searchInput.value.toLowerCase().trim() : "";
+    // Case matters to the query syntax (OR, regex flags); matching itself is case-insensitive.
+    const rawTerm = searchInput ? searchInput.value.trim() : "";
 
     if (rawTerm === "") {
-        let html = '';
-
+        const items = [];
         if (folderData.pinnedSearches && folderData.pinnedSearches.length > 0) {
-            html += `<div class="pinned-section-header">📌 ${t('pinned_searches_header')}</div>`;
-            folderData.pinnedSearches.forEach(pin => {
-                html += `
-                    <div class="pinned-search-item" data-query="${pin.query}">
-                        <div class="pin-content-wrapper">
-                            <span class="pin-icon">🔍</span>
-                            <span class="pin-title">${pin.title}</span>
-                        </div>
-                        <button class="quick-unpin-btn" data-id="${pin.id}" title="${t('unpin_btn')}">×</button>
-                    </div>`;
-            });
-            html += `<div class="section-divider"></div>`;
+            items.push(getStaticItem('pinned-header', `<div class="pinned-section-header">📌 ${t('pinned_searches_header')}</div>`));
+            folderData.pinnedSearches.forEach(pin => items.push({
+                key: `pin:${pin.id}`,
+                signature: JSON.stringify([pin.title, pin.query]),
+                create: () => createPinnedSearchItem(pin)
+            }));
+            items.push(getStaticItem('pinned-divider', `<div class="section-divider"></div>`));
         }
 
-        if (folderData.folders.length === 0) {
-            html += `<div class="empty-state">${t('empty_folders_msg')}</div>`;
+        const rootFolders = sortFolders(folderData.folders, folderData.folderSortOrder);
+        if (rootFolders.length === 0) {
+            items.push(getStaticItem('empty', `<div class="empty-state">${t('empty_folders_msg')}</div>`));
         } else {
-            folderData.folders.forEach(folder => {
-                html += renderFolderCard(folder, 0); 
-            });
+            items.push(...getFolderItems(rootFolders, 0));
         }
-        
-        list.innerHTML = html;
-        attachCardListeners(list);
-        
-        list.querySelectorAll('.pinned-search-item').forEach(item => {
-            item.querySelector('.pin-content-wrapper').onclick = (e) => {
-                e.stopPropagation();
-                if (searchInput) {
-                    searchInput.value = item.getAttribute('data-query');
-                    refreshFolderList();
-                }
-            };
 
-            const delBtn = item.querySelector('.quick-unpin-btn');
-            if (delBtn) {
-                delBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    const id = parseInt(delBtn.getAttribute('data-id'));
-                    const title = item.querySelector('.pin-title').innerText;
-                    
-                    if (confirm(t('unpin_confirm', [title]))) {
-                        folderData.pinnedSearches = folderData.pinnedSearches.filter(p => p.id !== id);
-                        saveAndRefresh();
-                    }
-                };
-            }
-        });
-        
-        const openFolderIds = Array.from(document.querySelectorAll('.subfolder-container:not(.hidden)')).map(el => el.id);
-        openFolderIds.forEach(id => {
-            const container = document.getElementById(id);
-            const btn = document.querySelector(`.toggle-sub-btn[data-target="${id}"]`);
-            if (container) container.classList.remove('hidden');
-            if (btn) btn.innerText = '▼';
+        folderTreePool = patchChildren(list, items, folderTreePool);
+        rootFolders.forEach(folder => patchSubfolders(folderTreePool.get(`folder:${folder.id}`), folder, 0));
+        // Dropping a folder on the list outside any card makes it a root folder.
+        attachDropTarget(list, {
+            canDrop: (drag) => drag.type === 'folder' && canMoveFolderTo(drag.id, 'root'),
+            onDrop: (drag) => handleMoveFolder(drag.id, 'root')
         });
-
+        rememberView('root');
     } else {
         renderSearchResults(rawTerm, list);
+        rememberView('search');
     }
-    if (window.maktabaStats) {
-            window.maktabaStats.renders++;
+    recordRender(startedAt);
+}
+
+/**
+ * Counts a render of the panel list and how long it took.
+ * @param {number} startedAt performance.now() when the render began.
+ */
+function recordRender(startedAt) {
+    if (!window.maktabaStats) return;
+    const elapsed = performance.now() - startedAt;
+    window.maktabaStats.renders++;
+    window.maktabaStats.lastRenderMs = elapsed;
+    window.maktabaStats.totalRenderMs += elapsed;
+    window.maktabaStats.maxRenderMs = Math.max(window.maktabaStats.maxRenderMs, elapsed);
+}
+
+/**
+ * Makes the children of an element match a list of items, in order. Elements of items whose key and
+ * signature are unchanged are kept as they are, listeners and focus included; others are built or updated.
+ * @param {HTMLElement} parent
+ * @param {RenderItem[]} items
+ * @param {Map<string, HTMLElement>|null} [pool] Elements to reuse by key. Defaults to the parent's children.
+ * @returns {Map<string, HTMLElement>} The elements now in the parent, by key.
+ */
+function patchChildren(parent, items, pool = null) {
+    if (!pool) {
+        pool = new Map();
+        Array.from(parent.children).forEach(el => {
+            const rendered = renderedItems.get(el);
+            if (rendered) pool.set(rendered.key, el);
+        });
+    }
+
+    const elements = new Map();
+    items.forEach((item, index) => {
+        let el = pool.get(item.key);
+        const rendered = el && renderedItems.get(el);
+        if (!rendered) {
+            el = item.create();
+        } else if (rendered.signature !== item.signature) {
+            if (item.update) item.update(el);
+            else el = item.create();
+        }
+        renderedItems.set(el, { key: item.key, signature: item.signature });
+        elements.set(item.key, el);
+        const current = parent.children[index];
+        if (current !== el) parent.insertBefore(el, current || null);
+    });
+    // Everything wanted now sits at the front, in order.
+    while (parent.children.length > items.length) parent.lastElementChild.remove();
+    return elements;
+}
+
+/**
+ * Describes a piece of markup without user data, such as a divider or an empty state.
+ * @param {string} key
+ * @param {string} html
+ * @returns {RenderItem}
+ */
+function getStaticItem(key, html) {
+    return { key, signature: html, create: () => createElementFromHtml(html) };
+}
+
+/**
+ * Builds one element from markup. User data must be filled in with textContent afterwards.
+ * @param {string} html
+ * @returns {HTMLElement}
+ */
+function createElementFromHtml(html) {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = html.trim();
+    return wrapper.firstElementChild;
+}
+
+/**
+ * Builds a pinned search entry for the top of the folder tree.
+ * @param {{id: number, title: string, query: string}} pin
+ * @returns {HTMLElement}
+ */
+function createPinnedSearchItem(pin) {
+    const item = createElementFromHtml(`
+        <div class="pinned-search-item" tabindex="-1">
+            <div class="pin-content-wrapper">
+                <span class="pin-icon">🔍</span>
+                <span class="pin-title"></span>
+            </div>
+            <button class="quick-unpin-btn" title="${t('unpin_btn')}">×</button>
+        </div>`);
+    item.setAttribute('data-query', pin.query);
+    item.querySelector('.pin-title').textContent = pin.title;
+
+    item.querySelector('.pin-content-wrapper').onclick = (e) => {
+        e.stopPropagation();
+        const searchInput = document.getElementById('folder-search-input');
+        if (searchInput) {
+            searchInput.value = pin.query;
+            refreshFolderList();
+        }
+    };
+    item.querySelector('.quick-unpin-btn').onclick = (e) => {
+        e.stopPropagation();
+        showConfirmDialog(t('unpin_confirm', [pin.title]), () => {
+            folderData.pinnedSearches = folderData.pinnedSearches.filter(p => p.id !== pin.id);
+            saveAndRefresh();
+        }, { confirmLabel: t('unpin_btn') });
+    };
+    return item;
+}
+
+/**
+ * Describes the folders of one tree level as render items. Each element is a .folder-wrapper.
+ * @param {Folder[]} folders In display order.
+ * @param {number} level Hierarchy depth.
+ * @returns {RenderItem[]}
+ */
+function getFolderItems(folders, level) {
+    return folders.map(folder => ({
+        key: `folder:${folder.id}`,
+        signature: JSON.stringify([folder.name, folder.annotation || '', folder.query, getFolderChatIds(folder).length,
+            isSmartFolder(folder) && getSmartFolderContents(folder).error, (folder.subfolders || []).length > 0, level]),
+        create: () => {
+            const wrapper = document.createElement('div');
+            wrapper.className = level === 0 ? 'folder-wrapper' : 'folder-wrapper subfolder-card';
+            wrapper.appendChild(createFolderCard(folder, level));
+            return wrapper;
+        },
+        // Only the card is replaced, so the subfolders below keep their elements.
+        update: (wrapper) => {
+            wrapper.replaceChild(createFolderCard(folder, level), wrapper.querySelector(':scope > .folder-card'));
+        }
+    }));
+}
+
+/**
+ * Patches the subfolders shown under a folder card, adding or removing their container as needed.
+ * New containers start expanded if the folder was left expanded (uiState.expandedFolderIds).
+ * @param {HTMLElement} wrapper The folder's .folder-wrapper.
+ * @param {Folder} folder
+ * @param {number} level The folder's depth.
+ */
+function patchSubfolders(wrapper, folder, level) {
+    let container = wrapper.querySelector(':scope > .subfolder-container');
+    if (!folder.subfolders || folder.subfolders.length === 0) {
+        if (container) container.remove();
+        return;
+    }
+    if (!container) {
+        container = document.createElement('div');
+        container.className = isFolderExpanded(folder.id) ? 'subfolder-container' : 'subfolder-container hidden';
+        container.id = `sub-${folder.id}`;
+        wrapper.appendChild(container);
+    }
+    const subfolders = sortFolders(folder.subfolders, folder.folderSortOrder);
+    const elements = patchChildren(container, getFolderItems(subfolders, level + 1));
+    subfolders.forEach(sub => patchSubfolders(elements.get(`folder:${sub.id}`), sub, level + 1));
+}
+
+/**
+ * Shows a chat list in the panel below the given header elements. Rendering the same view again
+ * (same viewKey) reuses its list, rows and measured heights.
+ * @param {HTMLElement} list The panel list.
+ * @param {(HTMLElement|null)[]} leading Elements above the chats; nulls are skipped.
+ * @param {string} viewKey 'search' or 'folder:<id>'.
+ * @param {RenderItem[]} rows
+ */
+function mountChatList(list, leading, viewKey, rows) {
+    if (!chatListState || chatListState.viewKey !== viewKey) {
+        const el = document.createElement('div');
+        el.className = 'chat-link-list';
+        chatListState = { viewKey, el, rows: [], pool: new Map(), heights: new Map(), start: 0, end: 0 };
+    }
+    chatListState.rows = rows;
+    list.replaceChildren(...leading.filter(Boolean), chatListState.el);
+    renderChatListWindow(true);
+}
+
+/**
+ * Renders the rows of the chat list on screen that are near the visible part of the panel. Short lists
+ * are rendered whole. Runs on every scroll of the panel and after each render of the list.
+ * @param {boolean} [force] Patch the rows even if the visible range did not change.
+ */
+function renderChatListWindow(force = false) {
+    const state = chatListState;
+    if (!state || !state.el.isConnected) return;
+    const rows = state.rows;
+    const heightOf = (row) => state.heights.get(row.key) || CHAT_ROW_ESTIMATED_HEIGHT;
+    const offsets = [0];
+    let start = 0;
+    let end = rows.length;
+
+    if (rows.length > CHAT_LIST_VIRTUAL_THRESHOLD) {
+        rows.forEach((row, i) => offsets.push(offsets[i] + heightOf(row)));
+        const scroller = document.getElementById('right-folder-list');
+        const viewTop = scroller.getBoundingClientRect().top - state.el.getBoundingClientRect().top;
+        // A panel that has not been laid out yet has no height; assume it fills the window.
+        const viewBottom = viewTop + (scroller.clientHeight || window.innerHeight);
+        let first = 0;
+        while (first < rows.length - 1 && offsets[first + 1] <= viewTop) first++;
+        let last = first;
+        while (last < rows.length && offsets[last] < viewBottom) last++;
+        start = Math.max(0, first - CHAT_LIST_OVERSCAN);
+        end = Math.min(rows.length, last + CHAT_LIST_OVERSCAN);
+    }
+    if (!force && start === state.start && end === state.end) return;
+    state.start = start;
+    state.end = end;
+
+    state.pool = patchChildren(state.el, rows.slice(start, end), state.pool);
+    state.el.style.paddingTop = start > 0 ? `${offsets[start]}px` : '';
+    state.el.style.paddingBottom = end < rows.length ? `${offsets[rows.length] - offsets[end]}px` : '';
+    state.pool.forEach((el, key) => {
+        const height = el.getBoundingClientRect().height;
+        if (height > 0) state.heights.set(key, height + (parseFloat(getComputedStyle(el).marginBottom) || 0));
+    });
+    if (chatSelection.active) updateBulkBar(document.getElementById('right-folder-list'));
+}
+
+/**
+ * Returns the element of a row of the chat list on screen, scrolling a long list to it first if the
+ * row is not rendered.
+ * @param {number} index Position of the row in the list.
+ * @returns {HTMLElement|null} Null if there is no such row.
+ */
+function revealChatRow(index) {
+    const state = chatListState;
+    if (!state || !state.el.isConnected || index < 0 || index >= state.rows.length) return null;
+    const key = state.rows[index].key;
+    if (!state.pool.has(key)) {
+        const scroller = document.getElementById('right-folder-list');
+        const offset = state.rows.slice(0, index).reduce((sum, row) => sum + (state.heights.get(row.key) || CHAT_ROW_ESTIMATED_HEIGHT), 0);
+        scroller.scrollTop += state.el.getBoundingClientRect().top - scroller.getBoundingClientRect().top + offset;
+        renderChatListWindow();
     }
+    return state.pool.get(key) || null;
 }
 
 /**
@@ -514,7 +3281,7 @@ function showSymlinkManager(x, y, chatId) {
     const chat = folderData.allChats[chatId];
     if (!chat) return;
 
-    const locations = findAllFoldersForChat(chatId);
+    const locations = getChatFolders(chatId);
     
     const existing = document.getElementById('symlink-manager-menu');
     if (existing) existing.remove();
@@ -556,37 +3323,37 @@ function showSymlinkManager(x, y, chatId) {
 }
 
 /**
- * Attaches interaction listeners to chat items in a container.
- * @param {HTMLElement} container
- * @param {number|null} folderId The ID of the folder containing these chats.
+ * Attaches the listeners of a chat item's buttons, tags and dragging.
+ * @param {HTMLElement} item A .chat-link-item.
+ * @param {number|string|null} folderId The folder being shown, or null for search results and smart folders.
  */
-function attachChatListeners(container, folderId) {
-    container.querySelectorAll('.rename-chat-btn').forEach(btn => {
-        btn.onclick = () => renameChat(btn.getAttribute('data-cid'), folderId);
-    });
+function attachChatItemListeners(item, folderId) {
+    const chatId = item.getAttribute('data-cid');
+    // Search results can hold a chat from several folders, so only a folder view knows what a move is from.
+    if (folderId !== null) {
+        attachDragSource(item, { type: 'chat', id: chatId, sourceFolderId: String(folderId) });
+    }
+
+    item.querySelector('.rename-chat-btn').onclick = () => renameChat(chatId, folderId);
     
-    container.querySelectorAll('.multi-link-manager-btn').forEach(btn => {
-        btn.onclick = (e) => {
+    const linkManagerBtn = item.querySelector('.multi-link-manager-btn');
+    if (linkManagerBtn) {
+        linkManagerBtn.onclick = (e) => {
             e.stopPropagation();
-            const chatId = btn.getAttribute('data-cid');
             showSymlinkManager(e.clientX, e.clientY, chatId);
         };
-    });
+    }
 
-    container.querySelectorAll('.edit-tags-btn').forEach(btn => {
-        btn.onclick = () => editChatTags(btn.getAttribute('data-cid'), folderId);
-    });
-    container.querySelectorAll('.edit-note-btn').forEach(btn => {
-        btn.onclick = () => editChatAnnotation(btn.getAttribute('data-cid'), folderId);
-    });
-    container.querySelectorAll('.move-chat-btn').forEach(btn => {
-        btn.onclick = (e) => showMoveMenu(e.clientX, e.clientY, btn.getAttribute('data-cid'), folderId);
-    });
-    container.querySelectorAll('.remove-chat-btn').forEach(btn => {
-        btn.onclick = () => removeChatFromFolder(btn.getAttribute('data-cid'), folderId);
+    item.querySelector('.edit-tags-btn').onclick = () => editChatTags(chatId, folderId);
+    item.querySelector('.edit-note-btn').onclick = () => editChatAnnotation(chatId, folderId);
+    item.querySelector('.move-chat-btn').onclick = (e) => showMoveMenu(e.clientX, e.clientY, chatId, folderId);
+    item.querySelectorAll('.move-up-btn, .move-down-btn').forEach(btn => {
+        btn.onclick = () => moveChatStep(folderId, chatId, btn.classList.contains('move-up-btn') ? -1 : 1);
     });
+    const removeBtn = item.querySelector('.remove-chat-btn');
+    if (removeBtn) removeBtn.onclick = () => removeChatFromFolder(chatId, folderId);
     
-    container.querySelectorAll('.clickable-tag').forEach(tag => {
+    item.querySelectorAll('.clickable-tag').forEach(tag => {
         tag.onclick = (e) => {
             e.stopPropagation();
             const searchInput = document.getElementById('folder-search-input');
@@ -599,90 +3366,436 @@ function attachChatListeners(container, folderId) {
 }
 
 /**
- * Filters chats based on query tokens and renders results.
- * @param {string} query
+ * Points the chat selection at the view being rendered and drops chats that are no longer listed.
+ * @param {string} viewKey 'search' or 'folder:<id>'.
+ * @param {string[]} visibleIds Chat IDs shown in the view.
+ * @returns {boolean} True when selection mode is on for this view.
+ */
+function syncChatSelection(viewKey, visibleIds) {
+    if (chatSelection.viewKey !== viewKey) {
+        chatSelection = { viewKey, active: false, chatIds: new Set(), anchorId: null, order: visibleIds };
+        return false;
+    }
+    chatSelection.order = visibleIds;
+    const visible = new Set(visibleIds);
+    chatSelection.chatIds.forEach(id => { if (!visible.has(id)) chatSelection.chatIds.delete(id); });
+    if (!visible.has(chatSelection.anchorId)) chatSelection.anchorId = null;
+    return chatSelection.active;
+}
+
+/**
+ * Builds the bulk action bar shown above a chat list in selection mode.
+ * @param {boolean} inFolder Folder views also offer removing the chats from that folder.
+ * @returns {string} HTML string.
+ */
+function renderBulkBar(inFolder) {
+    const moveTooltip = inFolder ? t('bulk_move_tooltip') : t('bulk_move_all_tooltip');
+    const removeHtml = inFolder
+        ? `<button class="bulk-btn" data-bulk="remove" title="${t('bulk_remove_tooltip')}">${t('bulk_remove_icon')}</button>`
+        : '';
+    return `
+        <div class="bulk-bar">
+            <label class="bulk-select-all" title="${t('select_all_tooltip')}">
+                <input type="checkbox" id="bulk-select-all">
+                <span class="bulk-count"></span>
+            </label>
+            <div class="bulk-actions">
+                <button class="bulk-btn" data-bulk="add-tags" title="${t('bulk_add_tags_tooltip')}">${t('bulk_add_tags_icon')}</button>
+                <button class="bulk-btn" data-bulk="remove-tags" title="${t('bulk_remove_tags_tooltip')}">${t('bulk_remove_tags_icon')}</button>
+                <button class="bulk-btn" data-bulk="move" title="${moveTooltip}">${t('bulk_move_icon')}</button>
+                <button class="bulk-btn" data-bulk="link" title="${t('bulk_link_tooltip')}">${t('bulk_link_icon')}</button>
+                ${removeHtml}
+                <button class="bulk-btn danger" data-bulk="delete" title="${t('bulk_delete_tooltip')}">${t('bulk_delete_icon')}</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Wires the selection toggle, checkboxes, select-all and bulk action buttons of a chat list.
+ * Shift-clicking a checkbox applies its new state to every chat between it and the last one clicked.
+ * Checkbox clicks are handled on the list, so rows rendered later by scrolling need no listeners of their own.
+ * @param {HTMLElement} container
+ * @param {number|string|null} folderId The folder being shown, or null for search results and smart folders.
+ */
+function attachSelectionListeners(container, folderId) {
+    const modeBtn = container.querySelector('#select-mode-btn');
+    if (modeBtn) {
+        modeBtn.onclick = (e) => {
+            e.stopPropagation();
+            chatSelection.active = !chatSelection.active;
+            chatSelection.chatIds.clear();
+            chatSelection.anchorId = null;
+            refreshCurrentView();
+        };
+    }
+    const chatList = container.querySelector('.chat-link-list');
+    if (chatList) chatList.onclick = null;
+    if (!chatSelection.active) return;
+
+    const order = chatSelection.order;
+    chatList.onclick = (e) => {
+        const box = e.target.closest('.chat-select-box');
+        if (!box) return;
+        const chatId = box.getAttribute('data-cid');
+        const anchorIndex = order.indexOf(chatSelection.anchorId);
+        const index = order.indexOf(chatId);
+        const range = e.shiftKey && anchorIndex !== -1
+            ? order.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+            : [chatId];
+        range.forEach(id => {
+            if (box.checked) chatSelection.chatIds.add(id);
+            else chatSelection.chatIds.delete(id);
+        });
+        chatSelection.anchorId = chatId;
+        updateBulkBar(container);
+    };
+
+    const selectAll = container.querySelector('#bulk-select-all');
+    selectAll.onchange = () => {
+        order.forEach(id => {
+            if (selectAll.checked) chatSelection.chatIds.add(id);
+            else chatSelection.chatIds.delete(id);
+        });
+        chatSelection.anchorId = null;
+        updateBulkBar(container);
+    };
+
+    container.querySelectorAll('.bulk-btn').forEach(btn => {
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            const chatIds = order.filter(id => chatSelection.chatIds.has(id));
+            if (chatIds.length === 0) return;
+            const action = btn.getAttribute('data-bulk');
+            if (action === 'add-tags' || action === 'remove-tags') {
+                bulkEditTags(chatIds, action === 'add-tags', folderId);
+            } else if (action === 'move') {
+                showFolderPickerMenu(e.clientX, e.clientY, t('bulk_move_menu_header', [chatIds.length]),
+                    (f) => f.id != folderId,
+                    (targetId) => bulkMoveChats(chatIds, folderId, targetId, false));
+            } else if (action === 'link') {
+                showFolderPickerMenu(e.clientX, e.clientY, t('bulk_link_menu_header', [chatIds.length]),
+                    (f) => !chatIds.every(id => f.chatIds && f.chatIds.includes(id)),
+                    (targetId) => bulkMoveChats(chatIds, folderId, targetId, true));
+            } else if (action === 'remove') {
+                bulkRemoveFromFolder(chatIds, folderId);
+            } else if (action === 'delete') {
+                bulkDeleteChats(chatIds, folderId);
+            }
+        };
+    });
+
+    updateBulkBar(container);
+}
+
+/**
+ * Syncs checkboxes, highlighting, the select-all box and the selected count with the selection.
+ * Counts cover the whole view, including rows a long list has not rendered.
  * @param {HTMLElement} container
  */
+function updateBulkBar(container) {
+    const selectAll = container.querySelector('#bulk-select-all');
+    if (!selectAll) return;
+    container.querySelectorAll('.chat-select-box').forEach(box => {
+        const selected = chatSelection.chatIds.has(box.getAttribute('data-cid'));
+        box.checked = selected;
+        box.closest('.chat-link-item').classList.toggle('selected', selected);
+    });
+    const total = chatSelection.order.length;
+    const count = chatSelection.order.filter(id => chatSelection.chatIds.has(id)).length;
+    selectAll.checked = count > 0 && count === total;
+    selectAll.indeterminate = count > 0 && count < total;
+    container.querySelector('.bulk-count').textContent = t('selected_count', [count]);
+    container.querySelectorAll('.bulk-btn').forEach(btn => { btn.disabled = count === 0; });
+}
+
 /**
- * Filters chats based on query tokens and renders results.
+ * Splits a search query into terms, parentheses and OR keywords.
  * @param {string} query
- * @param {HTMLElement} container
+ * @returns {Object[]} Tokens: {type: '(' | ')' | 'OR' | 'NOT'} or {type: 'term', field, value, kind, negated}.
+ * @throws {SyntaxError} On an unclosed quote or regex.
  */
-function renderSearchResults(query, container) {
-    // NEW: Parse with Regex to handle quotes and minus signs intelligently
+function tokenizeSearchQuery(query) {
     const tokens = [];
-    // Regex explanation:
-    // Group 1 (-?): Optional leading minus
-    // Group 2 ("[^"]+"): Quoted phrase (captures content inside quotes)
-    // Group 3 ([^\s]+): Standard word (captures non-whitespace text)
-    const regex = /(-?)(?:"([^"]+)"|([^\s]+))/g;
-    let match;
-
-    while ((match = regex.exec(query)) !== null) {
-        // match[1] is the minus sign (if present)
-        // match[2] is the quoted text (if quoted)
-        // match[3] is the unquoted text (if not quoted)
-        
-        const isNegative = match[1] === '-';
-        const rawValue = match[2] || match[3];
-        
-        if (!rawValue) continue;
-        
-        const val = rawValue.toLowerCase();
+    let i = 0;
+    while (i < query.length) {
+        const ch = query[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i++; continue; }
+
+        // A minus glued to what follows negates it; a lone "-" is just text.
+        const negated = ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]);
+        if (negated) i++;
+        if (negated && query[i] === '(') { tokens.push({ type: 'NOT' }); continue; }
+
+        // Unknown prefixes like "https:" stay part of the text.
+        let field = null;
+        const fieldMatch = /^([a-z]+):(?=[^\s)])/i.exec(query.slice(i));
+        if (fieldMatch && SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+            field = fieldMatch[1].toLowerCase();
+            i += fieldMatch[0].length;
+        }
 
-        // If it was quoted (match[2]), treat strictly as text (allow spaces in search)
-        if (match[2]) {
-            tokens.push({ 
-                type: isNegative ? 'not_text' : 'text', 
-                val: val 
-            });
+        let value;
+        let kind = 'word';
+        if (query[i] === '"') {
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) throw new SyntaxError(t('search_error_unclosed_quote'));
+            value = query.slice(i + 1, end);
+            kind = 'phrase';
+            i = end + 1;
+        } else if (query[i] === '/' && query.length > i + 1) {
+            let end = i + 1;
+            while (end < query.length && query[end] !== '/') end += query[end] === '\\' ? 2 : 1;
+            if (end >= query.length) throw new SyntaxError(t('search_error_unclosed_regex'));
+            const flags = /^[a-z]*/i.exec(query.slice(end + 1))[0];
+            value = { source: query.slice(i + 1, end), flags };
+            kind = 'regex';
+            i = end + 1 + flags.length;
         } else {
-            // Unquoted: check for tags vs text
-            if (val.startsWith('#')) {
-                tokens.push({ 
-                    type: isNegative ? 'not_tag' : 'tag', 
-                    val: val.substring(1) // remove '#'
-                });
-            } else {
-                tokens.push({ 
-                    type: isNegative ? 'not_text' : 'text', 
-                    val: val 
-                });
-            }
+            let end = i;
+            while (end < query.length && !/[\s()]/.test(query[end])) end++;
+            value = query.slice(i, end);
+            i = end;
         }
+
+        if (kind === 'word' && !field && !negated && value === 'OR') tokens.push({ type: 'OR' });
+        else if (kind === 'word' && !field && !negated && value === 'AND') continue; // Terms are ANDed anyway
+        else tokens.push({ type: 'term', field, value, kind, negated });
     }
+    return tokens;
+}
 
-    let matchedChats = [];
-    Object.keys(folderData.allChats).forEach(id => {
-        const chat = folderData.allChats[id];
-        if (isMatch(chat, tokens)) {
-            const containingFolders = findAllFoldersForChat(id);
-            matchedChats.push({ chat, folders: containingFolders });
+/**
+ * Parses a search query into a tree of AND/OR/NOT nodes over field terms.
+ * Grammar: terms side by side are ANDed, `OR` binds looser, `( )` groups and a leading `-` negates.
+ * @param {string} query
+ * @returns {{node: QueryNode}|{error: string}} The tree, or a readable reason the query is malformed.
+ */
+function parseSearchQuery(query) {
+    try {
+        const tokens = tokenizeSearchQuery(query);
+        let pos = 0;
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (tokens[pos] && tokens[pos].type === 'OR') {
+                pos++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+        const parseAnd = () => {
+            const children = [];
+            while (pos < tokens.length && tokens[pos].type !== 'OR' && tokens[pos].type !== ')') children.push(parseUnary());
+            if (children.length === 0) {
+                const previous = tokens[pos - 1] ? tokens[pos - 1].type : null;
+                if (previous === '(') throw new SyntaxError(t('search_error_empty_group'));
+                if (tokens[pos] && tokens[pos].type === ')' && previous !== 'OR') throw new SyntaxError(t('search_error_unmatched_paren'));
+                throw new SyntaxError(t('search_error_dangling_or'));
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+        const parseUnary = () => {
+            const token = tokens[pos++];
+            if (token.type === 'NOT') return { type: 'not', child: parseGroup() };
+            if (token.type === '(') {
+                pos--;
+                return parseGroup();
+            }
+            const term = buildQueryTerm(token);
+            return token.negated ? { type: 'not', child: term } : term;
+        };
+        const parseGroup = () => {
+            pos++; // '('
+            const node = parseOr();
+            if (!tokens[pos] || tokens[pos].type !== ')') throw new SyntaxError(t('search_error_unclosed_paren'));
+            pos++;
+            return node;
+        };
+
+        const node = parseOr();
+        if (pos < tokens.length) throw new SyntaxError(t('search_error_unmatched_paren'));
+        return { node };
+    } catch (e) {
+        if (e instanceof SyntaxError) return { error: e.message };
+        throw e;
+    }
+}
+
+/**
+ * Turns a term token into a query node, checking its regex or date value.
+ * @param {Object} token
+ * @returns {QueryNode}
+ * @throws {SyntaxError}
+ */
+function buildQueryTerm(token) {
+    let field = token.field;
+    let value = token.value;
+    if (!field && token.kind === 'word' && /^#./.test(value)) {
+        field = 'tag';
+        value = value.slice(1);
+    }
+    field = field || 'text';
+
+    if (field === 'created' || field === 'updated') {
+        const range = token.kind === 'regex' ? null : parseDateFilter(value);
+        if (!range) throw new SyntaxError(t('search_error_bad_date', [`${field}:${token.kind === 'regex' ? `/${value.source}/` : value}`]));
+        return { type: 'term', field, range };
+    }
+    if (token.kind === 'regex') {
+        if (/[^imsu]/.test(value.flags)) throw new SyntaxError(t('search_error_bad_regex', [`/${value.source}/${value.flags}`]));
+        try {
+            const flags = value.flags.includes('i') ? value.flags : `${value.flags}i`;
+            return { type: 'term', field, regex: new RegExp(value.source, flags) };
+        } catch (e) {
+            throw new SyntaxError(t('search_error_bad_regex', [`/${value.source}/`]));
         }
-    });
+    }
+    if (field === 'tag') value = value.replace(/^#+/, '');
+    return { type: 'term', field, value: value.toLowerCase(), exact: token.kind === 'phrase' };
+}
+
+/**
+ * Parses the value of a created:/updated: filter into an inclusive timestamp range.
+ * Accepts a date (2025-01-31, 2025-01, 2025) or an age (30d, 2w, 6m, 1y) with an optional
+ * >, >=, <, <= or = in front, or a date range a..b. For ages, "<30d" means less than 30 days old.
+ * @param {string} value
+ * @returns {{from: number, to: number}|null} Null if the value is not a valid date filter.
+ */
+function parseDateFilter(value) {
+    const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+    if (!match) return null;
+    const op = match[1] || '=';
+    const operand = match[2];
+
+    if (!match[1] && operand.includes('..')) {
+        const [start, end] = operand.split('..').map(parseDatePeriod);
+        return start && end ? { from: start.from, to: end.to } : null;
+    }
+
+    const age = /^(\d+)([dwmy])$/i.exec(operand);
+    if (age) {
+        const cutoff = Date.now() - parseInt(age[1], 10) * DATE_FILTER_UNIT_DAYS[age[2].toLowerCase()] * 86400000;
+        // Younger than the age means a later timestamp.
+        return op === '>' || op === '>=' ? { from: -Infinity, to: cutoff } : { from: cutoff, to: Infinity };
+    }
+
+    const period = parseDatePeriod(operand);
+    if (!period) return null;
+    if (op === '>') return { from: period.to + 1, to: Infinity };
+    if (op === '>=') return { from: period.from, to: Infinity };
+    if (op === '<') return { from: -Infinity, to: period.from - 1 };
+    if (op === '<=') return { from: -Infinity, to: period.to };
+    return period;
+}
+
+/**
+ * Parses a year, month or day in local time into the range of timestamps it covers.
+ * @param {string} text e.g. "2025", "2025-03" or "2025-03-14".
+ * @returns {{from: number, to: number}|null}
+ */
+function parseDatePeriod(text) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+    if (!match) return null;
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+    if (month !== null && (month < 0 || month > 11)) return null;
+
+    const start = new Date(year, month ?? 0, day ?? 1);
+    if (day !== null && start.getDate() !== day) return null; // e.g. 2025-02-30
+    const end = day !== null ? new Date(year, month, day + 1)
+        : month !== null ? new Date(year, month + 1, 1)
+        : new Date(year + 1, 0, 1);
+    return { from: start.getTime(), to: end.getTime() - 1 };
+}
+
+/**
+ * Filters chats with a search query and renders the results, or a hint if the query is malformed.
+ * @param {string} query
+ * @param {HTMLElement} container
+ */
+function renderSearchResults(query, container) {
+    const parsed = parseSearchQuery(query);
+    if (parsed.error) {
+        syncChatSelection('search', []);
+        const errorEl = createElementFromHtml(`<div class="search-error"></div>`);
+        errorEl.textContent = t('search_error_hint', [parsed.error]);
+        container.replaceChildren(errorEl);
+        return;
+    }
+
+    const ranked = searchSortMode === 'ranked';
+    const matchedChats = findMatchingChats(parsed.node);
+    const activity = (chat) => chat.updatedAt || chat.timestamp || 0;
+    matchedChats.sort((a, b) => (ranked ? b.score - a.score : 0) || activity(b.chat) - activity(a.chat));
+
+    const sortBtnHtml = `<button id="search-sort-btn" class="small-action-btn" title="${ranked ? t('search_sort_ranked_tooltip') : t('search_sort_date_tooltip')}">${ranked ? t('search_sort_ranked_icon') : t('search_sort_date_icon')}</button>`;
+    const smartFolderBtnHtml = `<button id="save-smart-folder-btn" class="small-action-btn" title="${t('smart_folder_save_tooltip')}">${t('smart_folder_icon')}</button>`;
+    const attachHeaderButtons = () => {
+        container.querySelector('#search-sort-btn').onclick = (e) => {
+            e.stopPropagation();
+            searchSortMode = ranked ? 'date' : 'ranked';
+            refreshFolderList();
+        };
+        // A smart folder is worth keeping before anything matches it.
+        container.querySelector('#save-smart-folder-btn').onclick = (e) => {
+            e.stopPropagation();
+            showSmartFolderDialog(null, query);
+        };
+    };
 
     if (matchedChats.length === 0) {
-        container.innerHTML = `<div class="empty-state">${t('empty_search_results')}</div>`;
+        syncChatSelection('search', []);
+        container.replaceChildren(
+            createElementFromHtml(`
+                <div class="search-header">
+                    <span>${t('search_results_count', [0])}</span>
+                    <div class="search-header-actions">
+                        ${sortBtnHtml}
+                        ${smartFolderBtnHtml}
+                    </div>
+                </div>
+            `),
+            createElementFromHtml(`<div class="empty-state">${t('empty_search_results')}</div>`)
+        );
+        attachHeaderButtons();
         return;
     }
 
-    let html = `
+    const selecting = syncChatSelection('search', matchedChats.map(match => match.chat.id));
+
+    const header = createElementFromHtml(`
         <div class="search-header">
             <span>${t('search_results_count', [matchedChats.length])}</span>
-            <button id="pin-current-search" class="small-action-btn" title="${t('pin_search_tooltip')}">📌 ${t('pin_search_btn')}</button>
+            <div class="search-header-actions">
+                ${sortBtnHtml}
+                <button id="select-mode-btn" class="small-action-btn ${selecting ? 'active' : ''}" title="${t('select_mode_tooltip')}">${t('select_mode_icon')} ${t('select_mode_btn')}</button>
+                <button id="pin-current-search" class="small-action-btn" title="${t('pin_search_tooltip')}">📌 ${t('pin_search_btn')}</button>
+                ${smartFolderBtnHtml}
+            </div>
         </div>
-        <div class="chat-link-list">
-    `;
-
-    matchedChats.forEach(match => {
-        const badgesHtml = match.folders.map(f => `<span class="folder-badge">📁 ${f.name}</span>`).join('');
-        html += renderChatHtml(match.chat, `<div class="folder-context-row">${badgesHtml}</div>`); 
+    `);
+
+    const rows = matchedChats.map(match => {
+        const badgesHtml = getChatFolders(match.chat.id).map(f => `<span class="folder-badge">📁 ${f.name}</span>`).join('');
+        const contextHtml = `<div class="folder-context-row">${badgesHtml}</div>`;
+        const options = { selectable: selecting, highlights: match.highlights };
+        return {
+            key: match.chat.id,
+            signature: getChatItemSignature(match.chat, contextHtml, options),
+            create: () => {
+                const item = createChatItem(match.chat, contextHtml, options);
+                attachChatItemListeners(item, null);
+                return item;
+            }
+        };
     });
-    html += `</div>`;
-    
-    container.innerHTML = html;
+    mountChatList(container, [header, selecting ? createElementFromHtml(renderBulkBar(false)) : null], 'search', rows);
     
-    attachChatListeners(container, null); 
+    attachSelectionListeners(container, null);
+    attachHeaderButtons();
 
     const pinBtn = container.querySelector('#pin-current-search');
     if (pinBtn) {
@@ -691,19 +3804,21 @@ function renderSearchResults(query, container) {
                 return alert(t('pin_exists_error'));
             }
 
-            if (folderData.pinnedSearches && folderData.pinnedSearches.length >= 5) {
+            if (folderData.pinnedSearches && folderData.pinnedSearches.length >= PIN_LIMIT) {
                 return alert(t('pin_limit_error'));
             }
             
             // UPDATED: Default to full query without truncation
-            const defaultName = query;
-            const title = prompt(t('pin_name_prompt'), defaultName);
-            
-            if (title) {
+            showDialog({
+                title: t('pin_search_dialog_title'),
+                message: query,
+                fields: [{ name: 'title', label: t('dialog_name_label'), value: query, placeholder: t('pin_name_placeholder'), required: true }],
+                confirmLabel: t('pin_search_btn')
+            }, ({ title }) => {
                 if (!folderData.pinnedSearches) folderData.pinnedSearches = [];
                 folderData.pinnedSearches.push({ 
                     id: Date.now(), 
-                    title: title.trim(), 
+                    title: title, 
                     query: query 
                 });
                 saveAndRefresh();
@@ -713,86 +3828,334 @@ function renderSearchResults(query, container) {
                     searchInput.value = "";
                     refreshFolderList();
                 }
-            }
+            });
         };
     }
 }
 
 /**
- * Validates if a chat matches a set of search tokens.
+ * Finds the chats matching a parsed query, in no particular order. Plain words forgive small typos.
+ * Search results and smart folders both come from here; the search sort order only orders the result.
+ * @param {QueryNode} node
+ * @returns {{chat: ChatEntry, score: number, highlights: ChatHighlights}[]}
+ */
+function findMatchingChats(node) {
+    const candidates = getSearchCandidates(node, true);
+    const matches = [];
+    (candidates ? [...candidates] : Object.keys(folderData.allChats)).forEach(id => {
+        const chat = folderData.allChats[id];
+        if (!chat) return;
+        const scored = scoreChat(chat, node, true);
+        if (!scored) return;
+        matches.push({ chat, score: scored.score, highlights: scored.highlights });
+    });
+    return matches;
+}
+
+/**
+ * Narrows a query to the chats that could match it, using the word and tag index. The result may
+ * include chats that do not match, but never leaves one out; the query still has to be evaluated.
+ * @param {QueryNode} node
+ * @param {boolean} fuzzy Whether plain words tolerate typos, as in ranked search.
+ * @returns {Set<string>|null} Candidate chat IDs, or null if every chat is a candidate.
+ */
+function getSearchCandidates(node, fuzzy) {
+    if (node.type === 'not') return null;
+    if (node.type === 'and' || node.type === 'or') {
+        const sets = node.children.map(child => getSearchCandidates(child, fuzzy));
+        if (node.type === 'or') {
+            if (sets.includes(null)) return null;
+            return sets.reduce((union, set) => { set.forEach(id => union.add(id)); return union; }, new Set());
+        }
+        const narrowed = sets.filter(Boolean);
+        if (narrowed.length === 0) return null;
+        return narrowed.reduce((common, set) => new Set([...common].filter(id => set.has(id))));
+    }
+    if (node.regex || !['text', 'title', 'note', 'tag'].includes(node.field)) return null;
+
+    const index = getLibraryIndex();
+    if (node.field === 'tag') {
+        const found = new Set();
+        index.tags.forEach((chatIds, tag) => {
+            if (matchesTagTerm(tag, node.value)) chatIds.forEach(id => found.add(id));
+        });
+        return found;
+    }
+
+    // Each word of the term lies inside some word of a text that contains it.
+    const fragments = node.value.match(/[\p{L}\p{N}]+/gu);
+    if (!fragments) return null;
+    let candidates = null;
+    fragments.forEach(fragment => {
+        const found = new Set();
+        index.words.forEach((chatIds, word) => {
+            if (word.includes(fragment)) chatIds.forEach(id => found.add(id));
+        });
+        candidates = candidates ? new Set([...candidates].filter(id => found.has(id))) : found;
+    });
+
+    const maxTypos = getMaxTypos(node.value);
+    if (fuzzy && !node.exact && maxTypos > 0) {
+        // Same comparison as findQueryTerm: the whole word, or its start for a half-typed term.
+        index.words.forEach((chatIds, word) => {
+            const close = editDistance(node.value, word, maxTypos) <= maxTypos
+                || editDistance(node.value, word.slice(0, node.value.length), maxTypos) <= maxTypos;
+            if (close) chatIds.forEach(id => candidates.add(id));
+        });
+    }
+    return candidates;
+}
+
+/**
+ * Checks a tag name (without '#') against the value of a tag term. A value ending in '/' matches
+ * the tag before the slash and every tag below it, so "#client/" finds "#client/acme/q3".
+ * @param {string} name
+ * @param {string} value Lowercased, as in QueryNode.value.
+ * @returns {boolean}
+ */
+function matchesTagTerm(name, value) {
+    const lower = name.toLowerCase();
+    if (!value.endsWith('/')) return lower === value;
+    return lower === value.slice(0, -1) || lower.startsWith(value);
+}
+
+/**
+ * Checks whether a chat satisfies a parsed search query.
  * @param {ChatEntry} chat
- * @param {Object[]} tokens
+ * @param {QueryNode} node
  * @returns {boolean}
  */
-function isMatch(chat, tokens) {
-    return tokens.every(token => {
-        const title = chat.title.toLowerCase();
-        const note = (chat.annotation || "").toLowerCase();
-        const tags = (chat.tags || []).map(t => t.toLowerCase());
+function isMatch(chat, node) {
+    if (node.type === 'and') return node.children.every(child => isMatch(chat, child));
+    if (node.type === 'or') return node.children.some(child => isMatch(chat, child));
+    if (node.type === 'not') return !isMatch(chat, node.child);
+
+    const matchesText = (text) => node.regex ? node.regex.test(text) : text.toLowerCase().includes(node.value);
+    const inRange = (time) => time >= node.range.from && time <= node.range.to;
+
+    switch (node.field) {
+        case 'title': return matchesText(chat.title);
+        case 'note': return matchesText(chat.annotation || "");
+        case 'tag': return (chat.tags || []).some(tag => {
+            const name = tag.replace(/^#+/, '');
+            return node.regex ? node.regex.test(name) : matchesTagTerm(name, node.value);
+        });
+        case 'folder': return getChatFolders(chat.id).some(folder => matchesText(folder.name));
+        case 'created': return inRange(chat.timestamp || 0);
+        case 'updated': return inRange(chat.updatedAt || chat.timestamp || 0);
+        // Plain words look at the same fields as ranked search, so both modes agree on what matches.
+        default: return matchesText(chat.title) || matchesText(chat.annotation || "")
+            || (chat.tags || []).some(tag => matchesText(tag.replace(/^#+/, '')));
+    }
+}
 
-        if (token.type === 'tag') return tags.some(t => t.includes(token.val));
-        if (token.type === 'not_tag') return !tags.some(t => t.includes(token.val));
-        if (token.type === 'not_text') return !title.includes(token.val) && !note.includes(token.val);
-        
-        return title.includes(token.val) || note.includes(token.val);
+/**
+ * Scores how well a chat matches a parsed query, for ranked search. Title hits weigh more than tag
+ * hits and tag hits more than note hits, plain words may contain small typos, and recently updated
+ * chats get a boost. Exclusions, dates, folders and tags still match exactly.
+ * @param {ChatEntry} chat
+ * @param {QueryNode} node
+ * @param {boolean} fuzzy Whether plain words tolerate typos.
+ * @returns {{score: number, highlights: ChatHighlights}|null} Null if the chat does not match.
+ */
+function scoreChat(chat, node, fuzzy) {
+    const result = scoreQueryNode(chat, node, fuzzy);
+    if (!result) return null;
+
+    const highlights = { title: [], note: [], tags: new Set() };
+    result.spans.forEach(span => {
+        if (span.field === 'tag') highlights.tags.add(span.tag.toLowerCase());
+        else for (let i = span.start; i < span.end; i++) highlights[span.field].push(i);
+    });
+
+    const ageDays = Math.max(0, Date.now() - (chat.updatedAt || chat.timestamp || 0)) / 86400000;
+    const recency = Math.pow(0.5, ageDays / SEARCH_RECENCY_HALF_LIFE_DAYS);
+    // With only filters in the query every chat scores the same, so recency alone orders them.
+    const base = result.score > 0 ? result.score : 1;
+    return { score: base * (1 + SEARCH_RECENCY_BOOST * recency), highlights };
+}
+
+/**
+ * Scores a query node, collecting the spans it matched.
+ * @param {ChatEntry} chat
+ * @param {QueryNode} node
+ * @param {boolean} fuzzy
+ * @returns {{score: number, spans: Object[]}|null}
+ */
+function scoreQueryNode(chat, node, fuzzy) {
+    if (node.type === 'not') return isMatch(chat, node.child) ? null : { score: 0, spans: [] };
+    if (node.type === 'and' || node.type === 'or') {
+        let matched = null;
+        for (const child of node.children) {
+            const result = scoreQueryNode(chat, child, fuzzy);
+            if (!result && node.type === 'and') return null;
+            if (!result) continue;
+            matched = matched || { score: 0, spans: [] };
+            matched.score += result.score;
+            matched.spans.push(...result.spans);
+        }
+        return matched;
+    }
+
+    if (node.field === 'tag' && !node.regex) {
+        const names = (chat.tags || []).map(tag => tag.replace(/^#+/, '')).filter(name => matchesTagTerm(name, node.value));
+        return names.length > 0 ? { score: SEARCH_FIELD_WEIGHTS.tag, spans: names.map(tag => ({ field: 'tag', tag })) } : null;
+    }
+    const fields = { text: ['title', 'tag', 'note'], title: ['title'], note: ['note'], tag: ['tag'] }[node.field];
+    if (!fields) return isMatch(chat, node) ? { score: 0, spans: [] } : null;
+
+    let score = 0;
+    const spans = [];
+    fields.forEach(field => {
+        const texts = field === 'tag'
+            ? (chat.tags || []).map(tag => tag.replace(/^#+/, ''))
+            : [field === 'title' ? chat.title : chat.annotation || ""];
+        texts.forEach(text => {
+            const found = findQueryTerm(node, text, fuzzy);
+            if (!found) return;
+            score += SEARCH_FIELD_WEIGHTS[field] * found.quality;
+            if (field === 'tag') spans.push({ field, tag: text });
+            else found.ranges.forEach(([start, end]) => spans.push({ field, start, end }));
+        });
     });
+    return score > 0 ? { score, spans } : null;
+}
+
+/**
+ * Looks for a term in a piece of text.
+ * @param {QueryNode} term
+ * @param {string} text
+ * @param {boolean} fuzzy Allows a word within a few edits of the term, e.g. "strategey" for "strategy".
+ * @returns {{quality: number, ranges: number[][]}|null} Quality from 0 to 1 and the [start, end) ranges matched.
+ */
+function findQueryTerm(term, text, fuzzy) {
+    if (term.regex) {
+        const ranges = [];
+        const global = new RegExp(term.regex.source, `${term.regex.flags}g`);
+        for (const match of text.matchAll(global)) {
+            if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+        }
+        return term.regex.test(text) ? { quality: 1, ranges } : null;
+    }
+
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (let index = lower.indexOf(term.value); index !== -1 && term.value; index = lower.indexOf(term.value, index + term.value.length)) {
+        ranges.push([index, index + term.value.length]);
+    }
+    if (ranges.length > 0) return { quality: isWordStart(lower, ranges[0][0]) ? 1 : 0.7, ranges };
+
+    const maxTypos = getMaxTypos(term.value);
+    if (!fuzzy || term.exact || maxTypos === 0) return null;
+
+    let best = null;
+    for (const match of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = match[0];
+        // Comparing with the word's start as well lets a half-typed word with a typo still match.
+        const candidates = word.length > term.value.length ? [word, word.slice(0, term.value.length)] : [word];
+        candidates.forEach(candidate => {
+            const distance = editDistance(term.value, candidate, maxTypos);
+            if (distance > maxTypos || (best && best.distance <= distance)) return;
+            best = { distance, range: [match.index, match.index + candidate.length] };
+        });
+    }
+    if (!best) return null;
+    return { quality: 0.5 * (1 - best.distance / (term.value.length + 1)), ranges: [best.range] };
 }
 
 /**
- * Generates HTML for a folder card in the tree view.
+ * Number of typos ranked search forgives in a term: none in short words, more in long ones.
+ * @param {string} value
+ * @returns {number}
+ */
+function getMaxTypos(value) {
+    return value.length >= 8 ? 2 : value.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions, swaps of neighbours) between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max Stops early once the distance must exceed this.
+ * @returns {number} The distance, or max + 1 if it is larger than max.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, beforePrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Builds a folder card for the tree view, without its subfolders, and attaches its listeners.
  * Uses textContent for XSS prevention.
  * @param {Folder} f
  * @param {number} level Hierarchy depth.
- * @returns {string} HTML string.
+ * @returns {HTMLElement}
  */
-function renderFolderCard(f, level) {
+function createFolderCard(f, level) {
     const isRoot = level === 0;
-    const indentClass = isRoot ? '' : 'subfolder-card';
-    
     const hasSubfolders = f.subfolders && f.subfolders.length > 0;
-    const subHtml = hasSubfolders 
-        ? `<div class="subfolder-container hidden" id="sub-${f.id}">${f.subfolders.map(sf => renderFolderCard(sf, level + 1)).join('')}</div>` 
-        : '';
-    
-    const arrow = hasSubfolders ? `<span class="toggle-sub-btn" data-target="sub-${f.id}">▶</span>` : `<span class="spacer"></span>`;
+    const arrow = hasSubfolders ? `<span class="toggle-sub-btn" data-target="sub-${f.id}">${isFolderExpanded(f.id) ? t('tree_expanded_icon') : t('tree_collapsed_icon')}</span>` : `<span class="spacer"></span>`;
     const newSubBtn = isRoot ? `<button class="action-btn new-sub-btn" title="${t('new_subfolder_tooltip')}">📂+</button>` : '';
-    const count = f.chatIds ? f.chatIds.length : 0;
+    const smart = isSmartFolder(f);
+    const smartContents = smart ? getSmartFolderContents(f) : null;
+    const count = smart ? (smartContents.error ? t('smart_folder_error_icon') : smartContents.chatIds.length) : (f.chatIds ? f.chatIds.length : 0);
+    // Chats cannot be added to a smart folder by hand; its query decides what it holds.
+    const addBtns = smart
+        ? `<button class="action-btn edit-query-btn" title="${t('smart_folder_edit_tooltip')}">${t('smart_folder_icon')}</button>`
+        : `<button class="action-btn add-here-btn" title="${t('save_current_chat_tooltip')}">+</button>`;
+    const linkBtn = smart ? '' : `<button class="action-btn link-btn" title="${t('add_link_tooltip')}">🔗</button>`;
 
     // Build DOM elements safely 
-    const wrapper = document.createElement('div');
-    wrapper.innerHTML = `
-        <div class="folder-wrapper ${indentClass}">
-            <div class="folder-card" data-id="${f.id}" data-level="${level}">
-                <div class="folder-info">
-                    ${arrow}
-                    <div class="folder-title-group">
-                        <span class="folder-name"></span>
-                        <span class="rename-folder-btn" title="${t('rename_tooltip')}">✎</span>
-                    </div>
-                    <span class="folder-count">${count}</span>
-                </div>
-                <div class="item-annotation"></div>
-                <div class="folder-actions">
-                    <button class="action-btn add-here-btn" title="${t('save_current_chat_tooltip')}">+</button>
-                    ${newSubBtn}
-                    <button class="action-btn link-btn" title="${t('add_link_tooltip')}">🔗</button>
-                    <button class="action-btn note-folder-btn" title="${t('edit_note_tooltip')}">📝</button>
-                    <button class="action-btn move-folder-btn" title="${t('move_folder_tooltip')}">➡</button> 
-                    <button class="action-btn open-btn" title="${t('view_contents_tooltip')}">↗</button>
-                    <button class="action-btn del-btn" title="${t('delete_tooltip')}">×</button>
+    const card = createElementFromHtml(`
+        <div class="folder-card" data-id="${f.id}" data-level="${level}" tabindex="-1">
+            <div class="folder-info">
+                ${arrow}
+                <div class="folder-title-group">
+                    ${smart ? `<span class="smart-folder-icon" title="${t('smart_folder_tooltip')}">${t('smart_folder_icon')}</span>` : ''}
+                    <span class="folder-name"></span>
+                    <span class="rename-folder-btn" title="${t('rename_tooltip')}">✎</span>
                 </div>
+                <span class="folder-count">${count}</span>
+            </div>
+            <div class="item-annotation"></div>
+            <div class="folder-actions">
+                ${addBtns}
+                ${newSubBtn}
+                ${linkBtn}
+                <button class="action-btn note-folder-btn" title="${t('edit_note_tooltip')}">📝</button>
+                <button class="action-btn move-folder-btn" title="${t('move_folder_tooltip')}">➡</button> 
+                <button class="action-btn open-btn" title="${t('view_contents_tooltip')}">↗</button>
+                <button class="action-btn del-btn" title="${t('delete_tooltip')}">×</button>
             </div>
-            ${subHtml}
         </div>
-    `;
+    `);
 
     // Safe Name Injection
-    const nameEl = wrapper.querySelector('.folder-name');
+    const nameEl = card.querySelector('.folder-name');
     nameEl.textContent = f.name;
-    nameEl.title = f.name;
+    nameEl.title = smart ? `${f.name}\n${f.query}` : f.name;
+    if (smartContents?.error) card.querySelector('.folder-count').title = t('search_error_hint', [smartContents.error]);
 
     // Safe Note Injection
-    const noteEl = wrapper.querySelector('.item-annotation');
+    const noteEl = card.querySelector('.item-annotation');
     if (f.annotation) {
         noteEl.textContent = f.annotation;
         noteEl.title = f.annotation;
@@ -800,19 +4163,52 @@ function renderFolderCard(f, level) {
         noteEl.remove();
     }
 
-    return wrapper.innerHTML;
+    attachFolderCardListeners(card);
+    return card;
 }
 
 
 /**
- * Generates HTML for a chat item.
+ * Describes everything createChatItem() shows for a chat, so a list can tell which rows changed.
+ * Whether a row is selected is left out; updateBulkBar() keeps that in sync on existing rows.
+ * @param {ChatEntry} chat
+ * @param {string} contextHtml
+ * @param {{reorderable?: boolean, selectable?: boolean, highlights?: ChatHighlights}} options
+ * @returns {string}
+ */
+function getChatItemSignature(chat, contextHtml, options) {
+    const highlights = options.highlights;
+    return JSON.stringify([
+        chat.title, chat.tags, chat.annotation, chat.offloaded, chat.timestamp, chat.updatedAt,
+        getChatFolders(chat.id).length, contextHtml, !!options.reorderable, !!options.selectable, !!options.fromQuery,
+        highlights ? [highlights.title, highlights.note, [...highlights.tags]] : null
+    ]);
+}
+
+/**
+ * Builds the element for a chat item.
  * Use textContent for XSS prevention.
  * @param {ChatEntry} chat
  * @param {string} [contextHtml] Extra HTML for search context/badges.
- * @returns {string} HTML string.
+ * @param {{reorderable?: boolean, selectable?: boolean, fromQuery?: boolean, highlights?: ChatHighlights}} [options]
+ *     reorderable adds move up/down buttons, for folders in manual order; selectable adds a checkbox while
+ *     selection mode is on; fromQuery drops the remove button from a smart folder's rows, where it could
+ *     only delete the chat; highlights marks what a search matched.
+ * @returns {HTMLElement}
  */
-function renderChatHtml(chat, contextHtml) {
+function createChatItem(chat, contextHtml, options = {}) {
     const safeContext = contextHtml || "";
+    const isSelected = options.selectable && chatSelection.chatIds.has(chat.id);
+    const selectHtml = options.selectable
+        ? `<input type="checkbox" class="chat-select-box" data-cid="${chat.id}" title="${t('select_chat_tooltip')}" ${isSelected ? 'checked' : ''}>`
+        : '';
+    const removeHtml = options.fromQuery
+        ? ''
+        : `<span class="remove-chat-btn" data-cid="${chat.id}" title="${t('remove_chat_tooltip')}">×</span>`;
+    const reorderHtml = options.reorderable
+        ? `<button class="move-up-btn" data-cid="${chat.id}" title="${t('move_up_tooltip')}">${t('move_up_icon')}</button>
+           <button class="move-down-btn" data-cid="${chat.id}" title="${t('move_down_tooltip')}">${t('move_down_icon')}</button>`
+        : '';
 
     const createdDate = new Date(chat.timestamp);
     const updatedDate = new Date(chat.updatedAt || chat.timestamp);
@@ -831,7 +4227,7 @@ function renderChatHtml(chat, contextHtml) {
                      <span title="${t('updated_date_tooltip', [updatedDate.toLocaleString()])}">↻ ${updatedStr}</span>`;
     }
 
-    const containingFolders = findAllFoldersForChat(chat.id);
+    const containingFolders = getChatFolders(chat.id);
     let linkIconHtml = '';
     if (containingFolders.length > 1) {
         linkIconHtml = `
@@ -843,11 +4239,11 @@ function renderChatHtml(chat, contextHtml) {
     }
 
     // Build DOM elements safely
-    const wrapper = document.createElement('div');
-    wrapper.innerHTML = `
-        <div class="chat-link-item">
+    const item = createElementFromHtml(`
+        <div class="chat-link-item ${isSelected ? 'selected' : ''}" data-cid="${chat.id}" tabindex="-1">
             ${safeContext}
             <div class="chat-title-row">
+                ${selectHtml}
                 <a href="https://gemini.google.com/app/${chat.id}" class="chat-title-link"></a>
                 ${linkIconHtml}
                 <span class="rename-chat-btn" data-cid="${chat.id}" title="${t('rename_chat_tooltip')}">✎</span>
@@ -856,25 +4252,28 @@ function renderChatHtml(chat, contextHtml) {
             <div class="item-annotation"></div>
             <div class="item-actions">
                 <div class="chat-date-label">${dateHtml}</div>
+                ${reorderHtml}
                 <button class="edit-tags-btn" data-cid="${chat.id}" title="${t('edit_tags_tooltip')}">🏷️</button>
                 <button class="edit-note-btn" data-cid="${chat.id}" title="${t('edit_note_tooltip')}">📝</button>
                 <button class="move-chat-btn" data-cid="${chat.id}" title="${t('move_chat_tooltip')}">⇄</button>
-                <span class="remove-chat-btn" data-cid="${chat.id}" title="${t('remove_chat_tooltip')}">×</span>
+                ${removeHtml}
             </div>
         </div>
-    `;
+    `);
 
     // Safe Title Injection
-    const titleLink = wrapper.querySelector('.chat-title-link');
-    titleLink.textContent = chat.title;
+    const titleLink = item.querySelector('.chat-title-link');
+    const highlights = options.highlights || { title: [], note: [], tags: new Set() };
+    appendHighlightedText(titleLink, chat.title, highlights.title);
     titleLink.title = chat.title;
 
     // Safe Tag Injection
-    const tagsContainer = wrapper.querySelector('.chat-tags');
+    const tagsContainer = item.querySelector('.chat-tags');
     if (chat.tags && chat.tags.length > 0) {
         chat.tags.forEach(t => {
             const span = document.createElement('span');
             span.className = 'tag-pill clickable-tag';
+            if (highlights.tags.has(t.replace(/^#+/, '').toLowerCase())) span.classList.add('matched');
             span.setAttribute('data-tag', t.replace(/^#/, ''));
             span.textContent = t.startsWith('#') ? t : `#${t}`;
             tagsContainer.appendChild(span);
@@ -883,159 +4282,532 @@ function renderChatHtml(chat, contextHtml) {
         tagsContainer.remove();
     }
 
-    // Safe Note Injection
-    const noteEl = wrapper.querySelector('.item-annotation');
-    if (chat.annotation) {
-        noteEl.textContent = chat.annotation;
-    } else {
-        noteEl.remove();
+    // Safe Note Injection
+    const noteEl = item.querySelector('.item-annotation');
+    if (chat.annotation) {
+        appendHighlightedText(noteEl, chat.annotation, highlights.note);
+    } else if (chat.offloaded && chat.offloaded.includes('annotation')) {
+        noteEl.textContent = t('note_on_other_device');
+    } else {
+        noteEl.remove();
+    }
+
+    return item;
+}
+
+/**
+ * Searches for a folder by ID and returns its context (self, siblings, index).
+ * @param {number|string} id
+ * @param {Folder[]} [list] Folder list to search within.
+ * @returns {Object|null}
+ */
+function getFolderContext(id, list = folderData.folders) {
+    for (let i = 0; i < list.length; i++) {
+        if (list[i].id == id) {
+            return { folder: list[i], siblings: list, index: i };
+        }
+        if (list[i].subfolders && list[i].subfolders.length > 0) {
+            const context = getFolderContext(id, list[i].subfolders);
+            if (context) return context;
+        }
+    }
+    return null;
+}
+
+/**
+ * Attaches interaction listeners to a folder card.
+ * @param {HTMLElement} card
+ */
+function attachFolderCardListeners(card) {
+    const id = card.getAttribute('data-id');
+    const level = parseInt(card.getAttribute('data-level'));
+    
+    card.querySelector('.open-btn').onclick = (e) => {
+        e.stopPropagation();
+        showFolderContents(id); 
+    };
+    const addBtn = card.querySelector('.add-here-btn');
+    if (addBtn) addBtn.onclick = () => saveCurrentChatToFolder(id);
+    const linkBtn = card.querySelector('.link-btn');
+    if (linkBtn) linkBtn.onclick = () => addChatByUrl(id);
+    const queryBtn = card.querySelector('.edit-query-btn');
+    if (queryBtn) {
+        queryBtn.onclick = (e) => {
+            e.stopPropagation();
+            showSmartFolderDialog(id);
+        };
+    }
+    
+    card.querySelector('.rename-folder-btn').onclick = (e) => { 
+        e.stopPropagation(); 
+        renameFolder(id); 
+    };
+    card.querySelector('.note-folder-btn').onclick = (e) => { 
+        e.stopPropagation(); 
+        editFolderAnnotation(id); 
+    };
+    card.querySelector('.move-folder-btn').onclick = (e) => { 
+        e.stopPropagation(); 
+        showMoveFolderMenu(e.clientX, e.clientY, id); 
+    };
+    
+    card.querySelector('.del-btn').onclick = (e) => {
+        e.stopPropagation();
+        deleteFolder(id);
+    };
+    
+    if (level === 0) {
+        const subBtn = card.querySelector('.new-sub-btn');
+        if (subBtn) subBtn.onclick = () => createNewFolder(id); 
+    }
+
+    attachDragSource(card, { type: 'folder', id, sourceFolderId: null });
+    attachDropTarget(card, {
+        // The card's top and bottom edges place a folder beside it, when its level is in manual order.
+        getZone: (drag, e) => drag.type === 'folder' && getLevelSortOrder(getFolderContext(id).siblings) === 'manual'
+            ? getDropZone(e, card, 0.25)
+            : 'into',
+        canDrop: (drag, zone) => {
+            if (drag.type === 'chat') return drag.sourceFolderId !== id && !isSmartFolder(getFolderContext(id)?.folder);
+            if (zone === 'into') return canMoveFolderTo(drag.id, id);
+            return drag.id !== id && !isFolderDescendant(getFolderContext(drag.id)?.folder, id);
+        },
+        onDrop: (drag, linkOnly, zone) => {
+            if (zone === 'into') dropOnFolder(drag, id, linkOnly);
+            else placeFolderNextTo(drag.id, id, zone);
+        },
+        onHold: () => setFolderExpanded(id, true)
+    });
+
+    const toggle = card.querySelector('.toggle-sub-btn');
+    if (toggle) {
+        toggle.onclick = (e) => {
+            e.stopPropagation();
+            setFolderExpanded(id, !isFolderExpanded(id));
+        };
+    }
+}
+
+/**
+ * Retrieves a sorted list of all unique tags used across all chats.
+ * @returns {string[]}
+ */
+function getAllUniqueTags() {
+    return Array.from(getTagUsage().keys()).sort();
+}
+
+/**
+ * Writes a stored tag the way tags are shown, with a single leading '#'.
+ * @param {string} tag
+ * @returns {string}
+ */
+function standardizeTag(tag) {
+    return `#${tag.toString().replace(/^#+/, '')}`;
+}
+
+/**
+ * Builds the search query for a tag. A tag name ending in '/' searches its whole subtree.
+ * @param {string} tag With '#'.
+ * @returns {string}
+ */
+function getTagSearchQuery(tag) {
+    // '#tag' ends at whitespace, so tags with spaces need the quoted field form.
+    return /\s/.test(tag) ? `tag:"${tag.slice(1)}"` : tag;
+}
+
+/**
+ * Arranges the library's tags as a tree by splitting their names at '/'. Spellings that differ only
+ * in case share a node, as they do in search.
+ * @returns {TagTreeNode} The root, whose children are the top-level names.
+ */
+function buildTagTree() {
+    const createNode = (path, label) => ({ path, label, chatIds: new Set(), isTag: false, children: new Map() });
+    const root = createNode('', '');
+    Object.values(folderData.allChats || {}).forEach(chat => {
+        if (!Array.isArray(chat.tags)) return;
+        chat.tags.forEach(tag => {
+            const segments = standardizeTag(tag).slice(1).split('/').filter(segment => segment);
+            let node = root;
+            segments.forEach((segment, i) => {
+                const key = segment.toLowerCase();
+                if (!node.children.has(key)) {
+                    const path = node.path ? `${node.path}/${key}` : key;
+                    node.children.set(key, createNode(path, `#${segments.slice(0, i + 1).join('/')}`));
+                }
+                node = node.children.get(key);
+                node.chatIds.add(chat.id);
+            });
+            if (node !== root) node.isTag = true;
+        });
+    });
+    return root;
+}
+
+/**
+ * Counts the chats carrying each tag. Spellings that differ in case are counted separately.
+ * @returns {Map<string, number>} Chat count by standardized tag.
+ */
+function getTagUsage() {
+    const usage = new Map();
+    Object.values(folderData.allChats || {}).forEach(chat => {
+        if (!Array.isArray(chat.tags)) return;
+        new Set(chat.tags.map(standardizeTag)).forEach(tag => usage.set(tag, (usage.get(tag) || 0) + 1));
+    });
+    return usage;
+}
+
+/**
+ * Renames or removes tags on every chat, in place and without saving. A renamed tag is dropped from
+ * chats that already carry its new name in any case; other tags are left as they are.
+ * @param {Map<string, string|null>} renames New tag by standardized old tag (case-sensitive); null removes the tag.
+ * @returns {number} Number of chats changed.
+ */
+function renameTags(renames) {
+    const tagKey = (tag) => tag.replace(/^#+/, '').toLowerCase();
+    let changed = 0;
+    Object.values(folderData.allChats).forEach(chat => {
+        const current = chat.tags || [];
+        if (!current.some(tag => renames.has(standardizeTag(tag)))) return;
+        const kept = current.filter(tag => !renames.has(standardizeTag(tag)));
+        const next = [];
+        current.forEach(tag => {
+            if (!renames.has(standardizeTag(tag))) return next.push(tag);
+            const renamed = renames.get(standardizeTag(tag));
+            if (renamed && !next.concat(kept).some(other => tagKey(other) === tagKey(renamed))) next.push(renamed);
+        });
+        chat.tags = next;
+        chat.updatedAt = Date.now();
+        changed++;
+    });
+    return changed;
+}
+
+/**
+ * Finds all folders containing a specific chat ID by walking the live tree.
+ * Use this while editing folders before a save; rendering and search should use getChatFolders().
+ * @param {string} chatId
+ * @returns {Folder[]}
+ */
+function findAllFoldersForChat(chatId) {
+    let results = [];
+    const traverse = (list) => {
+        list.forEach(f => {
+            if (f.chatIds && f.chatIds.includes(chatId)) results.push(f);
+            if (f.subfolders) traverse(f.subfolders);
+        });
+    };
+    traverse(folderData.folders);
+    return results;
+}
+
+/**
+ * Returns the folders containing a chat, from the library index.
+ * @param {string} chatId
+ * @returns {Folder[]}
+ */
+function getChatFolders(chatId) {
+    return (getLibraryIndex().foldersByChat.get(chatId) || []).slice();
+}
+
+/**
+ * Checks whether a folder is a smart folder, whose chats come from a search query.
+ * @param {Folder|null|undefined} folder
+ * @returns {boolean}
+ */
+function isSmartFolder(folder) {
+    return typeof folder?.query === 'string';
+}
+
+/**
+ * Returns the chats a folder shows: its chatIds, or the current matches of a smart folder.
+ * @param {Folder} folder
+ * @returns {string[]}
+ */
+function getFolderChatIds(folder) {
+    return isSmartFolder(folder) ? getSmartFolderContents(folder).chatIds : (folder.chatIds || []);
+}
+
+/**
+ * Finds the chats of a smart folder: those matching its query and the query of every smart folder
+ * above it, so nesting narrows the results. Matching is the same as in search and the newest chats
+ * come first, as in date-ordered search. The result is kept in the library index until the next save.
+ * @param {Folder} folder
+ * @returns {{chatIds: string[], error: string|null}} The matching chats, or why a query could not be read.
+ */
+function getSmartFolderContents(folder) {
+    const index = getLibraryIndex();
+    const key = String(folder.id);
+    if (!index.smartFolders.has(key)) {
+        const path = index.folders.has(key) ? index.folders.get(key).path : [folder];
+        const nodes = [];
+        let error = null;
+        path.filter(isSmartFolder).forEach(smart => {
+            const parsed = parseSearchQuery(smart.query);
+            if (parsed.error) error = error || parsed.error;
+            else nodes.push(parsed.node);
+        });
+        const activity = (chat) => chat.updatedAt || chat.timestamp || 0;
+        const chatIds = error ? [] : findMatchingChats({ type: 'and', children: nodes })
+            .sort((a, b) => activity(b.chat) - activity(a.chat))
+            .map(match => match.chat.id);
+        index.smartFolders.set(key, { chatIds, error });
+    }
+    return index.smartFolders.get(key);
+}
+
+/**
+ * Returns the index of the current library, rebuilding it if the library was saved or replaced since.
+ * @returns {LibraryIndex}
+ */
+function getLibraryIndex() {
+    if (!libraryIndex || libraryIndex.library !== folderData) libraryIndex = buildLibraryIndex(folderData);
+    return libraryIndex;
+}
+
+/**
+ * Drops the library index after an in-place edit, so the next read rebuilds it.
+ */
+function invalidateLibraryIndex() {
+    libraryIndex = null;
+}
+
+/**
+ * Builds the lookup tables for a library in one pass over its folders and chats.
+ * @param {Object} library
+ * @returns {LibraryIndex}
+ */
+function buildLibraryIndex(library) {
+    const startedAt = performance.now();
+    const index = { library, foldersByChat: new Map(), folders: new Map(), words: new Map(), tags: new Map(), smartFolders: new Map() };
+    const addTo = (map, key, chatId) => {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(chatId);
+    };
+
+    const traverse = (list, parent, parentPath) => {
+        list.forEach(folder => {
+            const path = [...parentPath, folder];
+            index.folders.set(String(folder.id), { folder, parent, path });
+            (folder.chatIds || []).forEach(chatId => {
+                if (!index.foldersByChat.has(chatId)) index.foldersByChat.set(chatId, []);
+                const folders = index.foldersByChat.get(chatId);
+                // A chat listed twice in one folder still belongs to it once.
+                if (folders[folders.length - 1] !== folder) folders.push(folder);
+            });
+            if (folder.subfolders) traverse(folder.subfolders, folder, path);
+        });
+    };
+    traverse(library.folders || [], null, []);
+
+    Object.keys(library.allChats || {}).forEach(chatId => {
+        const chat = library.allChats[chatId];
+        const tags = (chat.tags || []).map(tag => tag.toString().replace(/^#+/, '').toLowerCase());
+        tags.forEach(tag => addTo(index.tags, tag, chatId));
+        const text = [chat.title || '', chat.annotation || '', ...tags].join(' ').toLowerCase();
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) addTo(index.words, match[0], chatId);
+    });
+
+    const elapsed = performance.now() - startedAt;
+    if (window.maktabaStats) {
+        window.maktabaStats.indexBuilds++;
+        window.maktabaStats.lastIndexBuildMs = elapsed;
+        window.maktabaStats.totalIndexBuildMs += elapsed;
+    }
+    return index;
+}
+
+/**
+ * Persists the current state to storage and refreshes the UI.
+ * Refuses to write while storage holds a newer schema or before the stored library was read.
+ */
+function saveAndRefresh() {
+    // Edits change folderData in place, so the index cannot tell it is stale by itself.
+    invalidateLibraryIndex();
+    if (libraryLocked) return alert(t('schema_locked_save_alert'));
+    if (!libraryLoaded) return alert(t('library_syncing_save_alert'));
+    takeDailySnapshot();
+    recordHistory();
+    refreshCurrentView();
+    try {
+        if (chrome.runtime?.id) persistLibrary();
+    } catch(e) {
+        alert(t('context_invalidated_alert'));
+    }
+}
+
+/**
+ * Adds the change since the last recorded state to the undo history and clears redo.
+ */
+function recordHistory() {
+    const current = JSON.stringify(folderData);
+    if (historyState !== null && current !== historyState) {
+        undoStack.push({ before: historyState, after: current });
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
     }
+    historyState = current;
+}
 
-    return wrapper.innerHTML;
+/**
+ * Reverts the most recent change made in this tab.
+ */
+function undoLastChange() {
+    const entry = undoStack.pop();
+    if (!entry) return showToast(t('undo_empty_toast'));
+    applyHistoryStep(entry.after, entry.before);
+    redoStack.push(entry);
+    showToast(t('undo_done_toast'));
 }
 
 /**
- * Searches for a folder by ID and returns its context (self, siblings, index).
- * @param {number|string} id
- * @param {Folder[]} [list] Folder list to search within.
- * @returns {Object|null}
+ * Re-applies the most recently undone change.
  */
-function getFolderContext(id, list = folderData.folders) {
-    for (let i = 0; i < list.length; i++) {
-        if (list[i].id == id) {
-            return { folder: list[i], siblings: list, index: i };
-        }
-        if (list[i].subfolders && list[i].subfolders.length > 0) {
-            const context = getFolderContext(id, list[i].subfolders);
-            if (context) return context;
-        }
-    }
-    return null;
+function redoLastChange() {
+    const entry = redoStack.pop();
+    if (!entry) return showToast(t('redo_empty_toast'));
+    applyHistoryStep(entry.before, entry.after);
+    undoStack.push(entry);
+    showToast(t('redo_done_toast'));
 }
 
 /**
- * Attaches interaction listeners to folder cards in a container.
- * @param {HTMLElement} container
+ * Applies the difference between two snapshots to the current library. It is merged rather than
+ * restored, so later edits from other tabs or devices survive an undo.
+ * @param {string} from Snapshot the change starts from.
+ * @param {string} to Snapshot the change leads to.
  */
-function attachCardListeners(container) {
-    container.querySelectorAll('.folder-card').forEach(card => {
-        const id = card.getAttribute('data-id');
-        const level = parseInt(card.getAttribute('data-level'));
-        
-        card.querySelector('.open-btn').onclick = (e) => {
-            e.stopPropagation();
-            showFolderContents(id); 
-        };
-        card.querySelector('.add-here-btn').onclick = () => saveCurrentChatToFolder(id);
-        card.querySelector('.link-btn').onclick = () => addChatByUrl(id);
-        
-        card.querySelector('.rename-folder-btn').onclick = (e) => { 
-            e.stopPropagation(); 
-            renameFolder(id); 
-        };
-        card.querySelector('.note-folder-btn').onclick = (e) => { 
-            e.stopPropagation(); 
-            editFolderAnnotation(id); 
-        };
-        card.querySelector('.move-folder-btn').onclick = (e) => { 
-            e.stopPropagation(); 
-            showMoveFolderMenu(e.clientX, e.clientY, id); 
-        };
-        
-        card.querySelector('.del-btn').onclick = (e) => {
-            e.stopPropagation();
-            deleteFolder(id);
-        };
-        
-        if (level === 0) {
-            const subBtn = card.querySelector('.new-sub-btn');
-            if (subBtn) subBtn.onclick = () => createNewFolder(id); 
-        }
-    });
+function applyHistoryStep(from, to) {
+    folderData = mergeLibraries(JSON.parse(from), JSON.parse(to), folderData).result;
+    historyState = JSON.stringify(folderData);
+    saveAndRefresh();
+}
 
-    container.querySelectorAll('.toggle-sub-btn').forEach(btn => {
-        btn.onclick = (e) => {
-            e.stopPropagation();
-            const targetId = btn.getAttribute('data-target');
-            const target = document.getElementById(targetId);
-            if (target) {
-                target.classList.toggle('hidden');
-                btn.innerText = target.classList.contains('hidden') ? '▶' : '▼';
-            }
-        };
-    });
+/**
+ * Read-merge-write: folds in whatever another tab or device wrote since the last sync,
+ * then writes the result. Saves are queued so each one merges against the previous write.
+ * Nothing is written while the stored library cannot be read, since a missing shard may only mean
+ * another device is still writing; the save waits for the next storage change or window focus.
+ */
+function persistLibrary() {
+    stampChangedEntities(syncedLibrary, folderData);
+    if (saveInFlight) {
+        savePending = true;
+        return;
+    }
+    saveInFlight = true;
+
+    readLibrary((stored, manifest) => {
+        const remote = stored ? migrateLibrary(stored) : null;
+        if (stored && !remote) {
+            saveInFlight = false;
+            return showSchemaLock(stored.schemaVersion);
+        }
+        if (remote) {
+            const previous = folderData;
+            applyStoredLibrary(remote, manifest);
+            // Decoded records can list keys in another order; only re-render for real changes.
+            if (!isSameValue(folderData, previous)) refreshCurrentView();
+        }
+        writeLibrary();
+    }, () => finishSave(true));
 }
 
 /**
- * Retrieves a sorted list of all unique tags used across all chats.
- * @returns {string[]}
+ * Ends the current save and starts the queued one, if any.
+ * @param {boolean} [retryLater] Keeps the save queued without starting it, for resumePendingSave.
  */
-function getAllUniqueTags() {
-    const tags = new Set();
-    if (folderData.allChats) {
-        Object.values(folderData.allChats).forEach(chat => {
-            if (chat.tags && Array.isArray(chat.tags)) {
-                chat.tags.forEach(t => {
-                    const standardized = `#${t.toString().replace(/^#+/, '')}`;
-                    tags.add(standardized);
-                });
-            }
-        });
+function finishSave(retryLater = false) {
+    saveInFlight = false;
+    if (retryLater) {
+        savePending = true;
+    } else if (savePending) {
+        savePending = false;
+        persistLibrary();
     }
-    return Array.from(tags).sort();
 }
 
 /**
- * Finds all folders containing a specific chat ID.
- * @param {string} chatId
- * @returns {Folder[]}
+ * Starts a save that is waiting for the stored library to become readable again.
  */
-function findAllFoldersForChat(chatId) {
-    let results = [];
-    const traverse = (list) => {
-        list.forEach(f => {
-            if (f.chatIds && f.chatIds.includes(chatId)) results.push(f);
-            if (f.subfolders) traverse(f.subfolders);
-        });
-    };
-    traverse(folderData.folders);
-    return results;
+function resumePendingSave() {
+    if (savePending && !saveInFlight) finishSave();
 }
 
 /**
- * Persists the current state to storage and refreshes the UI.
+ * Writes folderData to storage.
+ * Only shards that changed since the last write are sent; shards no longer in the layout are removed.
+ * Heavy fields that do not fit the sync tier are written to chrome.storage.local.
  * Includes quota gatekeeper to prevent silent failures.
  */
-function saveAndRefresh() {
-    refreshFolderList(); 
+function writeLibrary() {
     try {
-        if (chrome.runtime?.id) {
-            // --- Quota Gatekeeper Start ---
-            const serialized = JSON.stringify(folderData);
-            // Calculate size in bytes (approximated for UTF-8)
-            const bytesInUse = new Blob([serialized]).size;
-            
-            // Chrome Sync Limit is 100KB (102,400 bytes).
-            // We set a safety buffer of 2KB to ensure metadata overhead fits.
-            const QUOTA_LIMIT = 102400; 
-            const SAFETY_BUFFER = 2048; 
-
-            if (bytesInUse > (QUOTA_LIMIT - SAFETY_BUFFER)) {
-                alert(t('storage_full_alert', [(bytesInUse/1024).toFixed(1)]));
-                updateStorageStats(); // Force UI to update immediately
-                return; // Abort save to prevent partial write or crash
-            }
-            // --- Quota Gatekeeper End ---
-
-            chrome.storage.sync.set({ 'maktaba_folders': folderData }, () => {
-                 if (chrome.runtime.lastError) {
-                     console.warn(chrome.runtime.lastError);
-                     // Fallback alert if Chrome rejects it despite our check
-                     alert(t('save_error_alert', [chrome.runtime.lastError.message]));
-                 }
+        const { core, overflow } = splitStorageTiers(folderData);
+        const shards = buildLibraryShards(core);
+        const revision = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        shards[MANIFEST_KEY].revision = revision;
+        shards[MANIFEST_KEY].baseRevision = syncedRevision;
+
+        // --- Quota Gatekeeper Start ---
+        // Calculate size in bytes the way Chrome does (key + JSON value, UTF-8)
+        const bytesInUse = getShardBytes(shards);
+        
+        // We keep a safety buffer of 2KB below the 100KB total to ensure metadata overhead fits.
+        if (bytesInUse > (SYNC_QUOTA_BYTES - SYNC_SAFETY_BUFFER)) {
+            alert(t('storage_full_alert', [(bytesInUse/1024).toFixed(1)]));
+            updateStorageStats(); // Force UI to update immediately
+            return finishSave(); // Abort save to prevent partial write or crash
+        }
+        if (Object.keys(shards).length > SYNC_MAX_ITEMS) {
+            alert(t('storage_items_full_alert', [Object.keys(shards).length, SYNC_MAX_ITEMS]));
+            return finishSave();
+        }
+        // --- Quota Gatekeeper End ---
+
+        const changed = {};
+        Object.keys(shards).forEach(key => {
+            if (syncedShards[key] !== JSON.stringify(shards[key])) changed[key] = shards[key];
+        });
+        const stale = Object.keys(syncedShards).filter(key => !(key in shards));
+
+        const previousShards = syncedShards;
+        const previousLibrary = syncedLibrary;
+        const previousRevision = syncedRevision;
+        rememberRevision(revision, folderData);
+        syncedShards = {};
+        Object.keys(shards).forEach(key => { syncedShards[key] = JSON.stringify(shards[key]); });
+
+        // The manifest is written in the same call as its chunks so readers never see a half-written layout.
+        chrome.storage.sync.set(changed, () => {
+             if (chrome.runtime.lastError) {
+                 console.warn(chrome.runtime.lastError);
+                 syncedShards = previousShards; // Nothing was written; diff against the old layout next time
+                 recentRevisions.delete(revision);
+                 syncedLibrary = previousLibrary;
+                 syncedRevision = previousRevision;
+                 // Fallback alert if Chrome rejects it despite our check
+                 alert(t('save_error_alert', [chrome.runtime.lastError.message]));
+                 return finishSave();
+             }
+             if (stale.length > 0) {
+                 // Another tab may have written a newer layout meanwhile; keep every shard it references.
+                 chrome.storage.sync.get(MANIFEST_KEY, (items) => {
+                     const inUse = getManifestKeys(items[MANIFEST_KEY]);
+                     const removable = stale.filter(key => !inUse.has(key));
+                     if (removable.length > 0) chrome.storage.sync.remove(removable);
+                 });
+             }
+             finishSave();
+        });
+
+        const overflowJson = JSON.stringify(overflow);
+        if (overflowJson !== syncedOverflow) {
+            syncedOverflow = overflowJson;
+            chrome.storage.local.set({ [LOCAL_OVERFLOW_KEY]: overflow }, () => {
+                if (chrome.runtime.lastError) console.warn(chrome.runtime.lastError);
             });
         }
     } catch(e) {
+        finishSave();
         alert(t('context_invalidated_alert'));
     }
 }
@@ -1059,61 +4831,56 @@ function saveCurrentChatToFolder(folderId) {
 
     const chatTitle = getRealChatTitle(chatId);
     const existing = folderData.allChats[chatId];
-    const defaultNote = existing ? existing.annotation : "";
-    const defaultTags = existing ? (existing.tags ? existing.tags.join(', ') : "") : "";
-
     const otherFolders = findAllFoldersForChat(chatId).filter(f => f.id != folderId);
-    let promptMsg = t('add_tags_prompt');
-    if (otherFolders.length > 0) promptMsg += t('already_saved_in_msg', [otherFolders.map(f => f.name).join(', ')]);
 
-    const tagString = prompt(promptMsg, defaultTags);
-    if (tagString === null) return;
-
-    const tags = tagString ? tagString.split(',').map(t => t.trim()).filter(t => t) : [];
-    const note = prompt(t('add_note_prompt'), defaultNote);
-
-    if (saveChatToFolder(folderId, chatId, chatTitle, tags, note || "")) {
-        const folderContainer = document.getElementById(`sub-${folderId}`);
-        const toggleBtn = document.querySelector(`.toggle-sub-btn[data-target="sub-${folderId}"]`);
-        if (folderContainer) {
-            folderContainer.classList.remove('hidden');
-            if(toggleBtn) toggleBtn.innerText = '▼';
-        }
-    }
+    showDialog({
+        title: t('save_chat_dialog_title', [folder.name]),
+        message: otherFolders.length > 0 ? t('saved_in_folders_msg', [otherFolders.map(f => f.name).join(', ')]) : '',
+        fields: [
+            { name: 'tags', label: t('dialog_tags_label'), type: 'tags', value: formatTagInput(existing?.tags) },
+            { name: 'note', label: t('dialog_note_label'), type: 'textarea', value: existing?.annotation || '' }
+        ],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ tags, note }) => {
+        if (!saveChatToFolder(folderId, chatId, chatTitle, parseTagInput(tags), note)) return t('chat_already_in_folder');
+        setFolderExpanded(folderId, true);
+    });
 }
 
 /**
- * Prompts for a URL and metadata to save an external chat link into a folder.
+ * Asks for a URL and metadata to save an external chat link into a folder.
+ * A URL of a chat that is already saved fills in its current title, tags and note.
  * @param {number|string} folderId
  */
 function addChatByUrl(folderId) {
-    const rawUrl = prompt(t('paste_gemini_url_prompt'));
-    if (!rawUrl) return;
-    const chatId = extractChatId(rawUrl);
-    if (!chatId) return alert(t('invalid_url_alert'));
-
     const context = getFolderContext(folderId);
     if (!context || !context.folder) return alert(t('folder_not_found_alert'));
     const folder = context.folder;
-    if (folder && folder.chatIds && folder.chatIds.includes(chatId)) {
-        return alert(t('chat_already_in_folder'));
-    }
-
-    let chatName = prompt(t('name_chat_prompt'), t('default_saved_link_title'));
-    if (chatName === null) return;
-
-    const existing = folderData.allChats[chatId];
-    if (existing) chatName = existing.title;
 
-    const otherFolders = findAllFoldersForChat(chatId).filter(f => f.id != folderId);
-    let tagPrompt = t('tags_input_label');
-    if (otherFolders.length > 0) tagPrompt += t('already_saved_in_msg', [otherFolders.map(f => f.name).join(', ')]);
-
-    const tagString = prompt(tagPrompt, existing ? existing.tags.join(', ') : "");
-    const tags = tagString ? tagString.split(',').map(t => t.trim()) : [];
-    const note = prompt(t('add_note_prompt_link'), existing ? existing.annotation : "");
-
-    saveChatToFolder(folderId, chatId, chatName || "Untitled", tags, note || "");
+    showDialog({
+        title: t('add_link_dialog_title', [folder.name]),
+        fields: [
+            {
+                name: 'url', label: t('dialog_url_label'), placeholder: 'https://gemini.google.com/app/…', required: true,
+                validate: (value) => extractChatId(value) ? null : t('invalid_url_alert'),
+                onInput: (value, inputs) => {
+                    const existing = folderData.allChats[extractChatId(value)];
+                    if (!existing) return;
+                    inputs.title.value = existing.title;
+                    inputs.tags.value = formatTagInput(existing.tags);
+                    inputs.note.value = existing.annotation || '';
+                }
+            },
+            { name: 'title', label: t('dialog_title_label'), value: t('default_saved_link_title'), required: true },
+            { name: 'tags', label: t('dialog_tags_label'), type: 'tags' },
+            { name: 'note', label: t('dialog_note_label'), type: 'textarea' }
+        ],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ url, title, tags, note }) => {
+        const chatId = extractChatId(url);
+        if (folder.chatIds && folder.chatIds.includes(chatId)) return t('chat_already_in_folder');
+        saveChatToFolder(folderId, chatId, title, parseTagInput(tags), note);
+    });
 }
 
 /**
@@ -1127,7 +4894,7 @@ function addChatByUrl(folderId) {
  */
 function saveChatToFolder(folderId, chatId, chatTitle, tags = [], annotation = "") {
     const context = getFolderContext(folderId);
-    if (!context || !context.folder) return false;
+    if (!context || !context.folder || isSmartFolder(context.folder)) return false;
     
     const folder = context.folder; 
 
@@ -1163,25 +4930,33 @@ function saveChatToFolder(folderId, chatId, chatTitle, tags = [], annotation = "
  * @param {number|string} id
  */
 function deleteFolder(id) {
-    if (!confirm(t('delete_folder_confirm'))) return;
     const context = getFolderContext(id);
-    if (context) {
-        context.siblings.splice(context.index, 1);
+    if (!context || !context.folder) return;
+    showConfirmDialog(t('delete_folder_confirm', [context.folder.name]), () => {
+        // Re-resolve: the folder may have moved while the dialog was open.
+        const current = getFolderContext(id);
+        if (!current) return;
+        addToTrash([createFolderTrashEntry(current)]);
+        current.siblings.splice(current.index, 1);
         saveAndRefresh();
-    }
+        showUndoToast(t('folder_deleted_toast'));
+    }, { confirmLabel: t('dialog_delete_btn'), danger: true });
 }
 
 /**
- * Prompts to rename a specific folder.
+ * Asks for a new name for a specific folder.
  * @param {number|string} id
  */
 function renameFolder(id) {
     const context = getFolderContext(id);
     if (!context || !context.folder) return;
     const folder = context.folder;
-    
-    const newName = prompt(t('rename_folder_prompt'), folder.name);
-    if (newName) { folder.name = newName.trim(); saveAndRefresh(); }
+
+    showDialog({
+        title: t('rename_folder_dialog_title'),
+        fields: [{ name: 'name', label: t('dialog_name_label'), value: folder.name, required: true }],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ name }) => { folder.name = name; saveAndRefresh(); });
 }
 
 /**
@@ -1192,19 +4967,23 @@ function renameFolder(id) {
 function renameChat(chatId, folderId) {
     const chat = folderData.allChats[chatId];
     if (!chat) return;
-    const newName = prompt(t('rename_chat_global_prompt'), chat.title);
-    if (newName !== null && newName.trim() !== "") {
-        chat.title = newName.trim();
+    showDialog({
+        title: t('rename_chat_dialog_title'),
+        message: t('rename_chat_dialog_msg'),
+        fields: [{ name: 'title', label: t('dialog_title_label'), value: chat.title, required: true }],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ title }) => {
+        chat.title = title;
         chat.updatedAt = Date.now();
         saveAndRefresh();
         const searchInput = document.getElementById('folder-search-input');
         if (searchInput && searchInput.value.trim() !== "") refreshFolderList();
         else if (folderId) showFolderContents(folderId);
-    }
+    });
 }
 
 /**
- * Prompts to edit the annotation for a folder.
+ * Opens a dialog to edit the annotation for a folder.
  * @param {number|string} id
  */
 function editFolderAnnotation(id) {
@@ -1212,31 +4991,37 @@ function editFolderAnnotation(id) {
     if (!context || !context.folder) return;
     const folder = context.folder;
 
-    const newNote = prompt(t('edit_folder_note_prompt'), folder.annotation || "");
-    if (newNote !== null) { folder.annotation = newNote.trim(); saveAndRefresh(); }
+    showDialog({
+        title: t('edit_folder_note_dialog_title', [folder.name]),
+        fields: [{ name: 'note', label: t('dialog_note_label'), type: 'textarea', value: folder.annotation || '' }],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ note }) => { folder.annotation = note; saveAndRefresh(); });
 }
 
 /**
- * Prompts to edit the annotation for a chat.
+ * Opens a dialog to edit the annotation for a chat.
  * @param {string} chatId
  * @param {number|string} folderId UI context for refresh.
  */
 function editChatAnnotation(chatId, folderId) {
     const chat = folderData.allChats[chatId];
     if (!chat) return;
-    const newNote = prompt(t('edit_chat_note_prompt'), chat.annotation || "");
-    if (newNote !== null) {
-        chat.annotation = newNote.trim();
+    showDialog({
+        title: t('edit_chat_note_dialog_title', [chat.title]),
+        fields: [{ name: 'note', label: t('dialog_note_label'), type: 'textarea', value: chat.annotation || '' }],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ note }) => {
+        chat.annotation = note;
         chat.updatedAt = Date.now();
         saveAndRefresh();
         const searchInput = document.getElementById('folder-search-input');
         if (searchInput && searchInput.value.trim() !== "") refreshFolderList();
         else if (folderId) showFolderContents(folderId);
-    }
+    });
 }
 
 /**
- * Prompts to edit tags for a chat and normalizes input.
+ * Opens a dialog to edit tags for a chat and normalizes input.
  * @param {string} chatId
  * @param {number|string} folderId UI context for refresh.
  */
@@ -1244,19 +5029,18 @@ function editChatTags(chatId, folderId) {
     const chat = folderData.allChats[chatId];
     if (!chat) return;
     
-    const currentTags = chat.tags ? chat.tags.join(', ') : '';
-    const newTagString = prompt(t('edit_tags_prompt'), currentTags);
-    if (newTagString === null) return;
-
-    chat.tags = newTagString.split(',').map(t => {
-        const clean = t.trim().replace(/^#+/, '');
-        return clean.length > 0 ? `#${clean}` : null;
-    }).filter(t => t);
-    chat.updatedAt = Date.now();
-    saveAndRefresh();
-    const searchInput = document.getElementById('folder-search-input');
-    if (searchInput && searchInput.value.trim() !== "") refreshFolderList();
-    else if (folderId) showFolderContents(folderId);
+    showDialog({
+        title: t('edit_tags_dialog_title', [chat.title]),
+        fields: [{ name: 'tags', label: t('dialog_tags_label'), type: 'tags', value: formatTagInput(chat.tags) }],
+        confirmLabel: t('dialog_save_btn')
+    }, ({ tags }) => {
+        chat.tags = parseTagInput(tags);
+        chat.updatedAt = Date.now();
+        saveAndRefresh();
+        const searchInput = document.getElementById('folder-search-input');
+        if (searchInput && searchInput.value.trim() !== "") refreshFolderList();
+        else if (folderId) showFolderContents(folderId);
+    });
 }
 
 /**
@@ -1274,45 +5058,184 @@ function removeChatFromFolder(chatId, folderId) {
             ? t('global_delete_confirm', [folderNames])
             : t('global_delete_simple_confirm');
 
-        if (!confirm(confirmMsg)) return;
+        showConfirmDialog(confirmMsg, () => {
+            // Look the folders up again in case the library changed while the dialog was open.
+            const linkedFolders = findAllFoldersForChat(chatId);
+            if (folderData.allChats[chatId]) addToTrash([createChatTrashEntry(folderData.allChats[chatId], linkedFolders)]);
 
-        // Remove ID from ALL folders that contain it
-        containingFolders.forEach(folder => {
-            folder.chatIds = folder.chatIds.filter(id => id !== chatId);
-        });
+            // Remove ID from ALL folders that contain it
+            linkedFolders.forEach(folder => {
+                folder.chatIds = folder.chatIds.filter(id => id !== chatId);
+            });
 
-        // Delete the metadata
-        delete folderData.allChats[chatId];
-        
-        saveAndRefresh();
+            // Delete the metadata
+            delete folderData.allChats[chatId];
+
+            saveAndRefresh();
+            showUndoToast(t('chat_deleted_toast'));
+        }, { confirmLabel: t('dialog_delete_btn'), danger: true });
         return;
     }
 
     // Handle Specific Folder Mode (Local Delete)
     const context = getFolderContext(folderId);
     if (!context || !context.folder) return;
-    const folder = context.folder;
 
-    // Check how many folders currently hold this chat
-    const currentLinks = findAllFoldersForChat(chatId);
-    
+    const removeLink = () => {
+        const folder = getFolderContext(folderId)?.folder;
+        if (!folder) return;
+        folder.chatIds = folder.chatIds.filter(id => id !== chatId);
+
+        // Check if chat is now orphaned (double-check safety)
+        const remainingLinks = findAllFoldersForChat(chatId);
+        if (remainingLinks.length === 0) {
+            if (folderData.allChats[chatId]) addToTrash([createChatTrashEntry(folderData.allChats[chatId], [folder])]);
+            delete folderData.allChats[chatId]; // Cleanup metadata
+        }
+
+        saveAndRefresh();
+        showFolderContents(folderId);
+        showUndoToast(t('chat_removed_toast'));
+    };
+
     // If this is the only folder containing the chat, warn the user
-    if (currentLinks.length === 1) {
-        const warningMsg = t('last_folder_warning_confirm');
-        if (!confirm(warningMsg)) return;
+    if (findAllFoldersForChat(chatId).length === 1) {
+        showConfirmDialog(t('last_folder_warning_confirm'), removeLink, { confirmLabel: t('dialog_delete_btn'), danger: true });
+    } else {
+        removeLink();
     }
+}
+
+/**
+ * Adds tags to, or removes tags from, several chats with a single save.
+ * @param {string[]} chatIds
+ * @param {boolean} adding False removes the entered tags instead.
+ * @param {number|string|null} folderId Folder view to refresh, or null in search.
+ */
+function bulkEditTags(chatIds, adding, folderId) {
+    const tagKey = (tag) => tag.replace(/^#+/, '').toLowerCase();
+    const usedTags = new Map();
+    chatIds.forEach(id => (folderData.allChats[id]?.tags || []).forEach(tag => {
+        if (!usedTags.has(tagKey(tag))) usedTags.set(tagKey(tag), tag);
+    }));
+
+    showDialog({
+        title: adding ? t('bulk_add_tags_dialog_title', [chatIds.length]) : t('bulk_remove_tags_dialog_title', [chatIds.length]),
+        message: !adding && usedTags.size > 0 ? t('bulk_tags_in_use_msg', [Array.from(usedTags.values()).join(', ')]) : '',
+        fields: [{ name: 'tags', label: t('dialog_tags_label'), type: 'tags', required: true }],
+        confirmLabel: adding ? t('dialog_save_btn') : t('dialog_remove_btn')
+    }, ({ tags }) => {
+        const entered = parseTagInput(tags);
+        const enteredKeys = new Set(entered.map(tagKey));
+        let changed = 0;
+        chatIds.forEach(id => {
+            const chat = folderData.allChats[id];
+            if (!chat) return;
+            const current = chat.tags || [];
+            const currentKeys = new Set(current.map(tagKey));
+            const next = adding
+                ? current.concat(entered.filter(tag => !currentKeys.has(tagKey(tag))))
+                : current.filter(tag => !enteredKeys.has(tagKey(tag)));
+            if (next.length === current.length) return;
+            chat.tags = next;
+            chat.updatedAt = Date.now();
+            changed++;
+        });
+        if (changed === 0) return;
+
+        saveAndRefresh();
+        if (folderId !== null) showFolderContents(folderId);
+        showUndoToast(adding ? t('bulk_tags_added_toast', [changed]) : t('bulk_tags_removed_toast', [changed]));
+    });
+}
+
+/**
+ * Moves or links several chats into a folder with a single save.
+ * A move takes the chats out of the folder being shown, or out of every folder when moving from search results.
+ * @param {string[]} chatIds
+ * @param {number|string|null} sourceFolderId
+ * @param {number|string} targetFolderId
+ * @param {boolean} linkOnly Keeps the chats where they are and adds them to the target as well.
+ */
+function bulkMoveChats(chatIds, sourceFolderId, targetFolderId, linkOnly) {
+    const target = getFolderContext(targetFolderId)?.folder;
+    if (!target || isSmartFolder(target)) return;
+
+    chatIds.forEach(id => {
+        if (!folderData.allChats[id]) return;
+        if (!linkOnly) {
+            findAllFoldersForChat(id).forEach(folder => {
+                if (folder !== target && (sourceFolderId === null || folder.id == sourceFolderId)) {
+                    folder.chatIds = folder.chatIds.filter(chatId => chatId !== id);
+                }
+            });
+        }
+        if (!target.chatIds.includes(id)) target.chatIds.push(id);
+    });
 
-    // Proceed with removal
-    folder.chatIds = folder.chatIds.filter(id => id !== chatId);
-    
-    // Check if chat is now orphaned (double-check safety)
-    const remainingLinks = findAllFoldersForChat(chatId);
-    if (remainingLinks.length === 0) {
-        delete folderData.allChats[chatId]; // Cleanup metadata
-    }
-    
     saveAndRefresh();
-    showFolderContents(folderId);
+    if (sourceFolderId !== null) showFolderContents(sourceFolderId);
+    showUndoToast(linkOnly
+        ? t('bulk_linked_toast', [chatIds.length, target.name])
+        : t('bulk_moved_toast', [chatIds.length, target.name]));
+}
+
+/**
+ * Removes several chats from one folder with a single save.
+ * Chats that were only in this folder go to the trash, after a confirmation.
+ * @param {string[]} chatIds
+ * @param {number|string} folderId
+ */
+function bulkRemoveFromFolder(chatIds, folderId) {
+    const removeLinks = () => {
+        const folder = getFolderContext(folderId)?.folder;
+        if (!folder) return;
+        const removing = new Set(chatIds);
+        folder.chatIds = folder.chatIds.filter(id => !removing.has(id));
+
+        const trashEntries = [];
+        chatIds.forEach(id => {
+            if (!folderData.allChats[id] || findAllFoldersForChat(id).length > 0) return;
+            trashEntries.push(createChatTrashEntry(folderData.allChats[id], [folder]));
+            delete folderData.allChats[id];
+        });
+        addToTrash(trashEntries);
+
+        saveAndRefresh();
+        showFolderContents(folderId);
+        showUndoToast(t('bulk_removed_toast', [chatIds.length]));
+    };
+
+    const lastLinks = chatIds.filter(id => findAllFoldersForChat(id).length === 1).length;
+    if (lastLinks > 0) {
+        showConfirmDialog(t('bulk_last_folder_confirm', [lastLinks]), removeLinks, { confirmLabel: t('dialog_delete_btn'), danger: true });
+    } else {
+        removeLinks();
+    }
+}
+
+/**
+ * Deletes several chats from every folder with a single save, moving them to the trash.
+ * @param {string[]} chatIds
+ * @param {number|string|null} folderId Folder view to refresh, or null in search.
+ */
+function bulkDeleteChats(chatIds, folderId) {
+    showConfirmDialog(t('bulk_delete_confirm', [chatIds.length]), () => {
+        const trashEntries = [];
+        chatIds.forEach(id => {
+            const linkedFolders = findAllFoldersForChat(id);
+            if (folderData.allChats[id]) trashEntries.push(createChatTrashEntry(folderData.allChats[id], linkedFolders));
+            linkedFolders.forEach(folder => {
+                folder.chatIds = folder.chatIds.filter(chatId => chatId !== id);
+            });
+            delete folderData.allChats[id];
+        });
+        addToTrash(trashEntries);
+
+        saveAndRefresh();
+        if (folderId !== null) showFolderContents(folderId);
+        showUndoToast(t('bulk_deleted_toast', [chatIds.length]));
+    }, { confirmLabel: t('dialog_delete_btn'), danger: true });
 }
 
 /**
@@ -1353,13 +5276,42 @@ function animateButton(selector) {
 /**
  * Shows a temporary toast message to the user.
  * @param {string} msg
+ * @param {{label: string, run: function(), isAvailable?: function(): boolean, unavailableMsg?: string}} [action]
+ *     Optional button that runs once and closes the toast. If isAvailable returns false by then,
+ *     unavailableMsg is shown instead.
+ */
+function showToast(msg, action) {
+    const toast = document.createElement('div');
+    toast.innerText = msg;
+    toast.style.cssText = `position:fixed; bottom:20px; right:20px; background:#333; color:#fff; padding:10px 20px; border-radius:5px; z-index:999999; box-shadow:0 2px 10px rgba(0,0,0,0.5); font-size:13px;`;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.textContent = action.label;
+        btn.style.cssText = `margin-left:12px; background:none; border:none; color:#a8c7fa; font-weight:bold; font-size:13px; cursor:pointer;`;
+        btn.onclick = () => {
+            toast.remove();
+            if (action.isAvailable && !action.isAvailable()) return showToast(action.unavailableMsg);
+            action.run();
+        };
+        toast.appendChild(btn);
+    }
+    document.body.appendChild(toast);
+    setTimeout(() => { toast.remove(); }, action ? 8000 : 4000);
+}
+
+/**
+ * Shows a toast with an Undo button after a destructive change. The button only undoes that change:
+ * once another change is recorded or undone, it explains that instead.
+ * @param {string} msg
  */
-function showToast(msg) {
-    const t = document.createElement('div');
-    t.innerText = msg;
-    t.style.cssText = `position:fixed; bottom:20px; right:20px; background:#333; color:#fff; padding:10px 20px; border-radius:5px; z-index:999999; box-shadow:0 2px 10px rgba(0,0,0,0.5); font-size:13px;`;
-    document.body.appendChild(t);
-    setTimeout(() => { t.remove(); }, 4000);
+function showUndoToast(msg) {
+    const entry = undoStack[undoStack.length - 1];
+    showToast(msg, {
+        label: t('undo_btn'),
+        run: undoLastChange,
+        isAvailable: () => entry !== undefined && undoStack[undoStack.length - 1] === entry,
+        unavailableMsg: t('undo_superseded_toast')
+    });
 }
 
 /**
@@ -1367,16 +5319,63 @@ function showToast(msg) {
  * @param {number|null} parentId ID of the parent folder, or null for root.
  */
 function createNewFolder(parentId) {
-    const name = prompt(parentId ? t('new_subfolder_prompt') : t('new_root_folder_prompt'));
-    if (!name) return;
+    const parent = parentId ? getFolderContext(parentId)?.folder : null;
+    showDialog({
+        title: parent ? t('new_subfolder_dialog_title', [parent.name]) : t('new_folder_dialog_title'),
+        fields: [{ name: 'name', label: t('dialog_name_label'), required: true }],
+        confirmLabel: t('dialog_create_btn')
+    }, ({ name }) => addFolder(parentId, name));
+}
+
+/**
+ * Creates a smart folder at the root from a search query, or edits the name and query of one.
+ * @param {number|string|null} folderId The smart folder to edit, or null to create one.
+ * @param {string} [query] Query of a new smart folder.
+ */
+function showSmartFolderDialog(folderId, query = '') {
+    const folder = folderId !== null ? getFolderContext(folderId)?.folder : null;
+    if (folderId !== null && !isSmartFolder(folder)) return;
+
+    showDialog({
+        title: folder ? t('smart_folder_edit_dialog_title', [folder.name]) : t('smart_folder_dialog_title'),
+        message: t('smart_folder_dialog_msg'),
+        fields: [
+            { name: 'name', label: t('dialog_name_label'), value: folder ? folder.name : query, required: true },
+            {
+                name: 'query', label: t('smart_folder_query_label'), value: folder ? folder.query : query, required: true,
+                validate: (value) => parseSearchQuery(value).error || null
+            }
+        ],
+        confirmLabel: folder ? t('dialog_save_btn') : t('dialog_create_btn')
+    }, ({ name, query: newQuery }) => {
+        if (folder) {
+            folder.name = name;
+            folder.query = newQuery;
+            saveAndRefresh();
+            return;
+        }
+        const created = addFolder(null, name, newQuery);
+        document.getElementById('folder-search-input').value = '';
+        showFolderContents(created.id);
+    });
+}
 
+/**
+ * Adds an empty folder at the root or under a parent.
+ * @param {number|null} parentId ID of the parent folder, or null for root.
+ * @param {string} name
+ * @param {string|null} [query] Makes it a smart folder showing the chats that match this query.
+ * @returns {Folder|null} The new folder, or null if the parent was not found.
+ */
+function addFolder(parentId, name, query = null) {
     const newFolder = { 
         id: Date.now(), 
-        name: name.trim(), 
+        name: name, 
         chatIds: [], 
         subfolders: [], 
         annotation: "" 
     };
+    if (query !== null) newFolder.query = query;
 
     if (parentId) {
         const context = getFolderContext(parentId);
@@ -1386,13 +5385,14 @@ function createNewFolder(parentId) {
             parent.subfolders.push(newFolder);
         } else {
             console.error(t('parent_folder_not_found_error'));
-            return;
+            return null;
         }
     } else {
         folderData.folders.push(newFolder);
     }
 
     saveAndRefresh();
+    return newFolder;
 }
 
 /**
@@ -1401,20 +5401,8 @@ function createNewFolder(parentId) {
  * @returns {Folder[]}
  */
 function getFolderPath(folderId) {
-    const path = [];
-    let currentId = folderId;
-
-    while (currentId) {
-        const context = getFolderContext(currentId);
-        if (context) {
-            path.unshift(context.folder);
-            const parent = findParentFolderOfArray(context.siblings);
-            currentId = parent ? parent.id : null;
-        } else {
-            currentId = null;
-        }
-    }
-    return path;
+    const entry = getLibraryIndex().folders.get(String(folderId));
+    return entry ? entry.path.slice() : [];
 }
 
 /**
@@ -1436,12 +5424,53 @@ function findParentFolderOfArray(targetArray, list = folderData.folders) {
 }
 
 /**
- * Displays a context menu to change the sort order of a folder.
+ * Choices for Folder.sortOrder, in menu order.
+ */
+const CHAT_SORT_OPTIONS = [
+    { id: 'updated', iconKey: 'sort_last_updated_icon',    labelKey: 'sort_last_updated' },
+    { id: 'created', iconKey: 'sort_date_added_icon',      labelKey: 'sort_date_added' },
+    { id: 'alpha',   iconKey: 'sort_alpha_icon',           labelKey: 'sort_alpha' },
+    { id: 'manual',  iconKey: 'sort_manual_icon',          labelKey: 'sort_manual' }
+];
+
+/**
+ * Choices for Folder.folderSortOrder and the root level, in menu order.
+ */
+const FOLDER_SORT_OPTIONS = [
+    { id: 'manual',   iconKey: 'sort_manual_icon',          labelKey: 'sort_manual' },
+    { id: 'alpha',    iconKey: 'sort_alpha_icon',           labelKey: 'sort_alpha' },
+    { id: 'activity', iconKey: 'sort_recent_activity_icon', labelKey: 'sort_recent_activity' }
+];
+
+/**
+ * Builds the items of one sort menu section, marking the current choice.
+ * @param {Array<{id: string, iconKey: string, labelKey: string}>} options
+ * @param {string} current
+ * @param {string} attr Data attribute that carries the option ID.
+ * @returns {string} HTML string.
+ */
+function renderSortMenuItems(options, current, attr) {
+    return options.map(opt => {
+        const isActive = current === opt.id;
+        const check = isActive ? '✓' : ''; 
+        const style = isActive ? 'color: #a8c7fa; font-weight:bold;' : '';
+        return `
+            <div class="ctx-item" ${attr}="${opt.id}" style="${style}">
+                <span style="width:20px">${t(opt.iconKey)}</span> 
+                <span style="flex-grow:1">${t(opt.labelKey)}</span>
+                <span>${check}</span>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Opens a sort menu at the pointer, replacing any open one.
  * @param {number} x
  * @param {number} y
- * @param {number|string} folderId
+ * @param {string} html
+ * @returns {HTMLElement}
  */
-function showSortMenu(x, y, folderId) {
+function openSortMenu(x, y, html) {
     const existing = document.getElementById('sort-context-menu'); 
     if (existing) existing.remove();
 
@@ -1450,49 +5479,106 @@ function showSortMenu(x, y, folderId) {
     menu.className = 'ctx-menu'; 
     menu.style.top = `${y}px`; 
     menu.style.left = `${x - 120}px`;
+    menu.innerHTML = html;
+    document.body.appendChild(menu);
 
-    const context = getFolderContext(folderId);
-    const current = context.folder.sortOrder || 'updated';
+    const closeMenu = () => { menu.remove(); document.removeEventListener('click', closeMenu); };
+    setTimeout(() => document.addEventListener('click', closeMenu), 100);
+    return menu;
+}
 
-    const options = [
-        { id: 'updated', icon: '🔄', label: t('sort_last_updated') },
-        { id: 'created', icon: '📅', label: t('sort_date_added') },
-        { id: 'alpha',   icon: '🔤', label: t('sort_alpha') }
-    ];
+/**
+ * Displays a context menu to change how a folder sorts its chats and, if it has any, its subfolders.
+ * @param {number} x
+ * @param {number} y
+ * @param {number|string} folderId
+ */
+function showSortMenu(x, y, folderId) {
+    const context = getFolderContext(folderId);
+    const folder = context.folder;
 
+    // A smart folder's chats have no order of their own to keep by hand.
+    const options = isSmartFolder(folder) ? CHAT_SORT_OPTIONS.filter(opt => opt.id !== 'manual') : CHAT_SORT_OPTIONS;
     let html = `<div class="ctx-header">${t('sort_menu_header')}</div>`;
-    
-    options.forEach(opt => {
-        const isActive = current === opt.id;
-        const check = isActive ? '✓' : ''; 
-        const style = isActive ? 'color: #a8c7fa; font-weight:bold;' : '';
-        
-        html += `
-            <div class="ctx-item" data-sort="${opt.id}" style="${style}">
-                <span style="width:20px">${opt.icon}</span> 
-                <span style="flex-grow:1">${opt.label}</span>
-                <span>${check}</span>
-            </div>`;
+    html += renderSortMenuItems(options, folder.sortOrder || 'updated', 'data-sort');
+    if (folder.subfolders && folder.subfolders.length > 0) {
+        html += `<div class="ctx-header">${t('subfolder_sort_menu_header')}</div>`;
+        html += renderSortMenuItems(FOLDER_SORT_OPTIONS, folder.folderSortOrder || 'manual', 'data-folder-sort');
+    }
+    const menu = openSortMenu(x, y, html);
+
+    menu.querySelectorAll('.ctx-item').forEach(item => {
+        item.onclick = () => {
+            if (item.hasAttribute('data-sort')) folder.sortOrder = item.getAttribute('data-sort');
+            else folder.folderSortOrder = item.getAttribute('data-folder-sort');
+            saveAndRefresh();
+            showFolderContents(folderId);
+        };
     });
+}
 
-    menu.innerHTML = html;
-    document.body.appendChild(menu);
-
-    const closeMenu = () => { menu.remove(); document.removeEventListener('click', closeMenu); };
-    setTimeout(() => document.addEventListener('click', closeMenu), 100);
+/**
+ * Displays a context menu to change the order of the root folders.
+ * @param {number} x
+ * @param {number} y
+ */
+function showFolderSortMenu(x, y) {
+    const html = `<div class="ctx-header">${t('folder_sort_menu_header')}</div>`
+        + renderSortMenuItems(FOLDER_SORT_OPTIONS, folderData.folderSortOrder || 'manual', 'data-folder-sort');
+    const menu = openSortMenu(x, y, html);
 
     menu.querySelectorAll('.ctx-item').forEach(item => {
         item.onclick = () => {
-            const sortMethod = item.getAttribute('data-sort');
-            context.folder.sortOrder = sortMethod;
+            folderData.folderSortOrder = item.getAttribute('data-folder-sort');
             saveAndRefresh();
-            showFolderContents(folderId);
         };
     });
 }
 
+/**
+ * Returns the sort order that applies to a list of sibling folders.
+ * @param {Folder[]} siblings The root list or a folder's subfolders array.
+ * @returns {string} One of FOLDER_SORT_ORDERS.
+ */
+function getLevelSortOrder(siblings) {
+    const parent = siblings === folderData.folders ? null : findParentFolderOfArray(siblings);
+    return (parent ? parent.folderSortOrder : folderData.folderSortOrder) || 'manual';
+}
+
+/**
+ * Returns sibling folders in display order. Manual order is the stored order.
+ * @param {Folder[]} folders
+ * @param {string} [order] One of FOLDER_SORT_ORDERS.
+ * @returns {Folder[]}
+ */
+function sortFolders(folders, order) {
+    if (!folders) return [];
+    if (order === 'alpha') return folders.slice().sort((a, b) => a.name.localeCompare(b.name));
+    if (order === 'activity') {
+        const activity = new Map(folders.map(f => [f, getFolderActivity(f)]));
+        return folders.slice().sort((a, b) => activity.get(b) - activity.get(a));
+    }
+    return folders;
+}
+
+/**
+ * Finds the latest update time among a folder's chats, subfolders included.
+ * @param {Folder} folder
+ * @returns {number} Timestamp, or 0 for a folder without chats.
+ */
+function getFolderActivity(folder) {
+    let latest = 0;
+    getFolderChatIds(folder).forEach(id => {
+        const chat = folderData.allChats[id];
+        if (chat) latest = Math.max(latest, chat.updatedAt || chat.timestamp || 0);
+    });
+    (folder.subfolders || []).forEach(sf => { latest = Math.max(latest, getFolderActivity(sf)); });
+    return latest;
+}
+
 /**
  * Renders the contents of a specific folder in the primary list view.
+ * A smart folder lists the chats matching its query, which are not its own to remove or reorder.
  * @param {number|string} folderId
  */
 function showFolderContents(folderId) {
@@ -1501,17 +5587,19 @@ function showFolderContents(folderId) {
     
     const folder = context.folder;
     const list = document.getElementById('right-folder-list');
+    const startedAt = performance.now();
+    const smart = isSmartFolder(folder);
+    const smartContents = smart ? getSmartFolderContents(folder) : null;
     
-    const currentSort = folder.sortOrder || 'updated'; 
+    // Smart folders have no chatIds order to keep.
+    const currentSort = smart && folder.sortOrder === 'manual' ? 'updated' : (folder.sortOrder || 'updated');
     
-    let chats = [];
-    if (folder.chatIds) {
-        chats = folder.chatIds
-            .map(id => folderData.allChats[id])
-            .filter(chat => chat);
-    }
+    const chats = getFolderChatIds(folder)
+        .map(id => folderData.allChats[id])
+        .filter(chat => chat);
 
-    chats.sort((a, b) => {
+    // Manual order is the order of folder.chatIds.
+    if (currentSort !== 'manual') chats.sort((a, b) => {
         if (currentSort === 'alpha') {
             return a.title.localeCompare(b.title);
         } else if (currentSort === 'created') {
@@ -1526,33 +5614,74 @@ function showFolderContents(folderId) {
     const path = getFolderPath(folderId);
     const breadcrumbHtml = path.map((f, index) => {
         const isLast = index === path.length - 1;
+        const name = isSmartFolder(f) ? `${t('smart_folder_icon')} ${f.name}` : f.name;
         return isLast 
-            ? `<span class="breadcrumb-current">${f.name}</span>`
-            : `<span class="breadcrumb-link" data-fid="${f.id}">${f.name}</span> <span class="breadcrumb-sep">/</span>`;
+            ? `<span class="breadcrumb-current">${name}</span>`
+            : `<span class="breadcrumb-link" data-fid="${f.id}">${name}</span> <span class="breadcrumb-sep">/</span>`;
     }).join('');
 
     let sortLabel = "🕒"; 
     if (currentSort === 'alpha') sortLabel = "🔤";
     if (currentSort === 'created') sortLabel = "📅";
+    if (currentSort === 'manual') sortLabel = t('sort_manual_icon');
 
-    let html = `
-        <div class="sub-header">
+    const selecting = syncChatSelection(`folder:${folderId}`, chats.map(chat => chat.id));
+    const options = { reorderable: currentSort === 'manual', selectable: selecting, fromQuery: smart };
+
+    const header = createElementFromHtml(`
+        <div class="sub-header" data-fid="${folder.id}">
             <button id="back-btn" title="${t('back_tooltip')}">←</button>
             <div class="breadcrumb-container">${breadcrumbHtml}</div>
+            <button id="select-mode-btn" class="${selecting ? 'active' : ''}" title="${t('select_mode_tooltip')}">${t('select_mode_icon')}</button>
             <button id="sort-folder-btn" title="${t('sort_order_btn_tooltip', [currentSort])}">${sortLabel}</button>
         </div>
-        <div class="chat-link-list">
-    `;
+    `);
+    let queryRow = null;
+    if (smart) {
+        queryRow = createElementFromHtml(`
+            <div class="smart-query-row">
+                <span class="smart-folder-icon">${t('smart_folder_icon')}</span>
+                <span class="smart-query-text"></span>
+                <button class="small-action-btn edit-query-btn" title="${t('smart_folder_edit_tooltip')}">${t('smart_folder_edit_query_icon')}</button>
+            </div>
+        `);
+        queryRow.querySelector('.smart-query-text').textContent = folder.query;
+        queryRow.querySelector('.edit-query-btn').onclick = () => showSmartFolderDialog(folderId);
+    }
 
-    if (chats.length === 0) {
-        html += `<div class="empty-state">${t('empty_subfolder_msg')}</div>`;
-    } else {
-        chats.forEach(chat => { 
-            html += renderChatHtml(chat, ""); 
-        });
+    let emptyItem = getStaticItem('empty', `<div class="empty-state">${smart ? t('empty_smart_folder_msg') : t('empty_subfolder_msg')}</div>`);
+    if (smartContents?.error) {
+        emptyItem = {
+            key: 'query-error',
+            signature: smartContents.error,
+            create: () => {
+                const errorEl = createElementFromHtml(`<div class="search-error"></div>`);
+                errorEl.textContent = t('search_error_hint', [smartContents.error]);
+                return errorEl;
+            }
+        };
     }
-    html += `</div>`;
-    list.innerHTML = html;
+    // Rows of a smart folder act as search results: there is no folder of their own to remove them from.
+    const rowFolderId = smart ? null : folderId;
+    const rows = chats.length === 0
+        ? [emptyItem]
+        : chats.map(chat => ({
+            key: chat.id,
+            signature: getChatItemSignature(chat, "", options),
+            create: () => {
+                const item = createChatItem(chat, "", options);
+                attachChatItemListeners(item, rowFolderId);
+                if (options.reorderable) {
+                    attachDropTarget(item, {
+                        getZone: (drag, e) => getDropZone(e, item, 0.5),
+                        canDrop: (drag) => drag.type === 'chat' && drag.sourceFolderId === String(folderId) && drag.id !== chat.id,
+                        onDrop: (drag, linkOnly, zone) => reorderChat(folderId, drag.id, chat.id, zone)
+                    });
+                }
+                return item;
+            }
+        }));
+    mountChatList(list, [header, queryRow, selecting ? createElementFromHtml(renderBulkBar(!smart)) : null], `folder:${folderId}`, rows);
 
     document.getElementById('back-btn').onclick = refreshFolderList;
     
@@ -1562,9 +5691,150 @@ function showFolderContents(folderId) {
     };
 
     list.querySelectorAll('.breadcrumb-link').forEach(link => {
-        link.onclick = () => showFolderContents(link.getAttribute('data-fid'));
+        const targetId = link.getAttribute('data-fid');
+        link.onclick = () => showFolderContents(targetId);
+        attachDropTarget(link, {
+            canDrop: (drag) => drag.type === 'chat' && !isSmartFolder(getFolderContext(targetId)?.folder),
+            onDrop: (drag, linkOnly) => dropOnFolder(drag, targetId, linkOnly)
+        });
+    });
+    // Holding a dragged chat over Back opens the folder tree so any folder can take the drop.
+    attachDropTarget(document.getElementById('back-btn'), {
+        canDrop: (drag) => drag.type === 'chat',
+        onHold: refreshFolderList
     });
-    attachChatListeners(list, folderId);
+    attachSelectionListeners(list, rowFolderId);
+    rememberView('folder', folderId);
+    recordRender(startedAt);
+}
+
+/**
+ * Shows the library's tags as a tree in the primary list view, split at '/'. Each entry counts the
+ * chats tagged with it or anything below it, and opens a search for that whole subtree.
+ */
+function showTagTree() {
+    const list = document.getElementById('right-folder-list');
+    if (!list) return;
+    const startedAt = performance.now();
+    const root = buildTagTree();
+
+    const items = [getStaticItem('tag-tree-header', `
+        <div class="sub-header">
+            <button id="back-btn" title="${t('back_tooltip')}">←</button>
+            <div class="breadcrumb-container"><span class="breadcrumb-current">${t('tag_tree_title')}</span></div>
+        </div>`)];
+    if (root.children.size === 0) items.push(getStaticItem('empty', `<div class="empty-state">${t('tags_empty_text')}</div>`));
+    else items.push(...getTagTreeItems(root, 0));
+    patchChildren(list, items);
+
+    document.getElementById('back-btn').onclick = refreshFolderList;
+    rememberView('tags');
+    recordRender(startedAt);
+}
+
+/**
+ * Describes the entries of the tag tree below a node as render items, in display order. Children of
+ * expanded entries follow their parent, indented one level further.
+ * @param {TagTreeNode} node
+ * @param {number} level Depth of the node's children.
+ * @returns {RenderItem[]}
+ */
+function getTagTreeItems(node, level) {
+    const items = [];
+    Array.from(node.children.values())
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .forEach(child => {
+            const expanded = child.children.size > 0 && uiState.expandedTagPaths.includes(child.path);
+            const fill = (el) => fillTagTreeItem(el, child, level, expanded);
+            items.push({
+                key: `tag:${child.path}`,
+                signature: JSON.stringify([child.label, child.chatIds.size, child.isTag, child.children.size > 0, expanded, level]),
+                create: () => fill(document.createElement('div')),
+                // Updated in place, so focus stays on an entry while it is expanded from the keyboard.
+                update: fill
+            });
+            if (expanded) items.push(...getTagTreeItems(child, level + 1));
+        });
+    return items;
+}
+
+/**
+ * Renders one tag tree entry into an element and attaches its listeners.
+ * Uses textContent for XSS prevention.
+ * @param {HTMLElement} el
+ * @param {TagTreeNode} node
+ * @param {number} level
+ * @param {boolean} expanded
+ * @returns {HTMLElement} The element.
+ */
+function fillTagTreeItem(el, node, level, expanded) {
+    const hasChildren = node.children.size > 0;
+    el.className = 'tag-tree-item';
+    el.classList.toggle('has-children', hasChildren);
+    el.classList.toggle('expanded', expanded);
+    el.tabIndex = -1;
+    el.setAttribute('data-path', node.path);
+    el.style.paddingLeft = `${8 + level * 16}px`;
+    el.innerHTML = `
+        ${hasChildren ? `<span class="tag-tree-toggle">${expanded ? t('tree_expanded_icon') : t('tree_collapsed_icon')}</span>` : `<span class="spacer"></span>`}
+        <span class="tag-tree-name"></span>
+        <span class="folder-count"></span>
+    `;
+    // Top-level entries show the whole tag, deeper ones only their own segment.
+    const name = el.querySelector('.tag-tree-name');
+    name.textContent = level === 0 ? node.label : node.label.slice(node.label.lastIndexOf('/') + 1);
+    name.title = hasChildren ? t('tag_tree_subtree_title', [`${node.label}/`]) : node.label;
+    el.querySelector('.folder-count').textContent = node.chatIds.size;
+
+    name.onclick = () => {
+        document.getElementById('folder-search-input').value = getTagSearchQuery(hasChildren ? `${node.label}/` : node.label);
+        refreshFolderList();
+    };
+    if (hasChildren) el.querySelector('.tag-tree-toggle').onclick = () => setTagExpanded(node.path, !expanded);
+    return el;
+}
+
+/**
+ * Opens or closes a namespace of the tag tree and remembers it.
+ * @param {string} path TagTreeNode.path of the entry.
+ * @param {boolean} expanded
+ */
+function setTagExpanded(path, expanded) {
+    uiState.expandedTagPaths = uiState.expandedTagPaths.filter(other => other !== path);
+    if (expanded) uiState.expandedTagPaths.push(path);
+    saveUiState();
+    showTagTree();
+}
+
+/**
+ * Moves a chat before or after another chat in a folder's manual order.
+ * @param {number|string} folderId
+ * @param {string} chatId
+ * @param {string} targetChatId
+ * @param {'before'|'after'} placement
+ */
+function reorderChat(folderId, chatId, targetChatId, placement) {
+    const folder = getFolderContext(folderId)?.folder;
+    if (!folder || chatId === targetChatId || !folder.chatIds.includes(targetChatId)) return;
+    folder.chatIds = folder.chatIds.filter(id => id !== chatId);
+    folder.chatIds.splice(folder.chatIds.indexOf(targetChatId) + (placement === 'after' ? 1 : 0), 0, chatId);
+    saveAndRefresh();
+    showFolderContents(folderId);
+}
+
+/**
+ * Moves a chat one place up or down among the chats shown in a folder.
+ * IDs without metadata are skipped so every click visibly moves the chat.
+ * @param {number|string} folderId
+ * @param {string} chatId
+ * @param {number} step -1 for up, 1 for down.
+ */
+function moveChatStep(folderId, chatId, step) {
+    const folder = getFolderContext(folderId)?.folder;
+    if (!folder) return;
+    const visible = folder.chatIds.filter(id => folderData.allChats[id]);
+    const neighbor = visible[visible.indexOf(chatId) + step];
+    if (neighbor) reorderChat(folderId, chatId, neighbor, step < 0 ? 'before' : 'after');
 }
 
 /**
@@ -1575,25 +5845,40 @@ function showFolderContents(folderId) {
  * @param {number|string} sourceFolderId
  */
 function showMoveMenu(x, y, chatId, sourceFolderId) {
+    showFolderPickerMenu(x, y, t('move_to_menu_header'),
+        (f) => f.id != sourceFolderId && (!f.chatIds || !f.chatIds.includes(chatId)),
+        (targetFolderId) => handleMoveChat(chatId, sourceFolderId, targetFolderId));
+}
+
+/**
+ * Displays a context menu listing folders as an indented tree and reports the one clicked.
+ * Smart folders are left out, since chats cannot be put into them.
+ * @param {number} x
+ * @param {number} y
+ * @param {string} header
+ * @param {function(Folder): boolean} isAvailable Folders it returns false for are left out.
+ * @param {function(string)} onPick Receives the chosen folder's ID.
+ */
+function showFolderPickerMenu(x, y, header, isAvailable, onPick) {
     const existing = document.getElementById('move-context-menu'); if (existing) existing.remove();
     const menu = document.createElement('div'); menu.id = 'move-context-menu';
     menu.style.top = `${y}px`; menu.style.left = `${x - 160}px`;
     let allFolders = [];
     const traverse = (list, prefix = "") => {
         list.forEach(f => {
-            if (f.id != sourceFolderId && (!f.chatIds || !f.chatIds.includes(chatId))) allFolders.push({ ...f, displayName: prefix + f.name });
+            if (!isSmartFolder(f) && isAvailable(f)) allFolders.push({ ...f, displayName: prefix + f.name });
             if (f.subfolders) traverse(f.subfolders, prefix + "↳ ");
         });
     };
     traverse(folderData.folders);
-    let html = `<div class="ctx-header">${t('move_to_menu_header')}</div>`;
+    let html = `<div class="ctx-header">${header}</div>`;
     if (allFolders.length === 0) html += `<div class="ctx-item disabled">${t('no_folders_available')}</div>`;
     else allFolders.forEach(f => { html += `<div class="ctx-item" data-fid="${f.id}">📁 ${f.displayName}</div>`; });
     menu.innerHTML = html; document.body.appendChild(menu);
     const closeMenu = () => { menu.remove(); document.removeEventListener('click', closeMenu); };
     setTimeout(() => document.addEventListener('click', closeMenu), 100);
     menu.querySelectorAll('.ctx-item').forEach(item => {
-        item.onclick = () => { const targetFolderId = item.getAttribute('data-fid'); if (targetFolderId) handleMoveChat(chatId, sourceFolderId, targetFolderId); };
+        item.onclick = () => { const targetFolderId = item.getAttribute('data-fid'); if (targetFolderId) onPick(targetFolderId); };
     });
 }
 
@@ -1611,10 +5896,12 @@ function handleMoveChat(chatId, sourceFolderId, targetFolderId) {
     
     const sourceFolder = srcCtx.folder;
     const targetFolder = tgtCtx.folder;
+    if (isSmartFolder(targetFolder)) return;
 
     if (!targetFolder.chatIds.includes(chatId)) targetFolder.chatIds.push(chatId);
     sourceFolder.chatIds = sourceFolder.chatIds.filter(id => id !== chatId);
     saveAndRefresh();
+    showUndoToast(t('chat_moved_toast'));
     
     const searchInput = document.getElementById('folder-search-input');
     if (searchInput && searchInput.value.trim() !== "") refreshFolderList();
@@ -1633,24 +5920,25 @@ function showMoveFolderMenu(x, y, folderId) {
     menu.style.top = `${y}px`; menu.style.left = `${x - 160}px`;
     const isRoot = folderData.folders.some(f => f.id == folderId);
     let validTargets = [];
-    const isDescendant = (parent, childId) => {
-        if (!parent.subfolders) return false;
-        if (parent.subfolders.some(sf => sf.id == childId)) return true;
-        return parent.subfolders.some(sf => isDescendant(sf, childId));
-    };
     const traverse = (list, prefix = "") => {
         list.forEach(f => {
             if (f.id == folderId) return;
             const ctxMoving = getFolderContext(folderId);
             const folderMoving = ctxMoving ? ctxMoving.folder : null;
-            if (isDescendant(folderMoving, f.id)) return;
+            if (isFolderDescendant(folderMoving, f.id)) return;
             validTargets.push({ ...f, displayName: prefix + f.name });
             if (f.subfolders) traverse(f.subfolders, prefix + "↳ ");
         });
     };
     traverse(folderData.folders);
     let html = `<div class="ctx-header">${t('move_folder_menu_header')}</div>`;
-    if (!isRoot) html += `<div class="ctx-item special-action" data-action="make-root">${t('make_root_folder_action')}</div><div style="border-bottom:1px solid #444; margin:4px 0;"></div>`;
+    const movingContext = getFolderContext(folderId);
+    const siblings = movingContext.siblings;
+    const canReorder = getLevelSortOrder(siblings) === 'manual';
+    if (canReorder && movingContext.index > 0) html += `<div class="ctx-item special-action" data-action="move-up">${t('move_folder_up_action')}</div>`;
+    if (canReorder && movingContext.index < siblings.length - 1) html += `<div class="ctx-item special-action" data-action="move-down">${t('move_folder_down_action')}</div>`;
+    if (!isRoot) html += `<div class="ctx-item special-action" data-action="make-root">${t('make_root_folder_action')}</div>`;
+    if (html.includes('special-action')) html += `<div style="border-bottom:1px solid #444; margin:4px 0;"></div>`;
     if (validTargets.length === 0) html += `<div class="ctx-item disabled">${t('no_targets_available')}</div>`;
     else validTargets.forEach(f => { html += `<div class="ctx-item" data-fid="${f.id}">📁 ${f.displayName}</div>`; });
     menu.innerHTML = html; document.body.appendChild(menu);
@@ -1660,6 +5948,8 @@ function showMoveFolderMenu(x, y, folderId) {
         item.onclick = () => {
             const action = item.getAttribute('data-action'); const targetId = item.getAttribute('data-fid');
             if (action === 'make-root') handleMoveFolder(folderId, 'root');
+            else if (action === 'move-up') placeFolderNextTo(folderId, siblings[movingContext.index - 1].id, 'before');
+            else if (action === 'move-down') placeFolderNextTo(folderId, siblings[movingContext.index + 1].id, 'after');
             else if (targetId) handleMoveFolder(folderId, targetId);
         };
     });
@@ -1673,6 +5963,8 @@ function showMoveFolderMenu(x, y, folderId) {
 function handleMoveFolder(folderId, targetParentId) {
     const context = getFolderContext(folderId);
     if (!context) return;
+    // A folder cannot move into itself or its own subtree.
+    if (targetParentId !== 'root' && (targetParentId == folderId || isFolderDescendant(context.folder, targetParentId))) return;
 
     const [folderToMove] = context.siblings.splice(context.index, 1);
 
@@ -1686,6 +5978,214 @@ function handleMoveFolder(folderId, targetParentId) {
         }
     }
     saveAndRefresh();
+    showUndoToast(t('folder_moved_toast'));
+}
+
+/**
+ * Checks whether a folder sits anywhere below another folder.
+ * @param {Folder|null} parent
+ * @param {number|string} childId
+ * @returns {boolean}
+ */
+function isFolderDescendant(parent, childId) {
+    if (!parent || !parent.subfolders) return false;
+    if (parent.subfolders.some(sf => sf.id == childId)) return true;
+    return parent.subfolders.some(sf => isFolderDescendant(sf, childId));
+}
+
+/**
+ * Checks whether moving a folder under a new parent is valid and would change anything.
+ * @param {number|string} folderId
+ * @param {number|string|'root'} targetParentId
+ * @returns {boolean}
+ */
+function canMoveFolderTo(folderId, targetParentId) {
+    const context = getFolderContext(folderId);
+    if (!context) return false;
+    if (targetParentId === 'root') return context.siblings !== folderData.folders;
+    if (targetParentId == folderId || isFolderDescendant(context.folder, targetParentId)) return false;
+    const target = getFolderContext(targetParentId);
+    return Boolean(target) && !(target.folder.subfolders || []).some(sf => sf.id == folderId);
+}
+
+/**
+ * Adds a chat to another folder while keeping it where it is.
+ * @param {string} chatId
+ * @param {number|string} targetFolderId
+ */
+function handleLinkChat(chatId, targetFolderId) {
+    const target = getFolderContext(targetFolderId)?.folder;
+    if (!target || isSmartFolder(target) || target.chatIds.includes(chatId)) return;
+    target.chatIds.push(chatId);
+    saveAndRefresh();
+    showUndoToast(t('chat_linked_toast', [target.name]));
+}
+
+/**
+ * Applies a drop onto a folder: a folder becomes its subfolder, a chat is moved or linked there.
+ * @param {{type: 'chat'|'folder', id: string, sourceFolderId: string|null}} drag
+ * @param {number|string} targetFolderId
+ * @param {boolean} linkOnly True when a modifier key asked to add the chat instead of moving it.
+ */
+function dropOnFolder(drag, targetFolderId, linkOnly) {
+    if (drag.type === 'folder') {
+        handleMoveFolder(drag.id, targetFolderId);
+        getFolderPath(targetFolderId).forEach(f => setFolderExpanded(f.id, true));
+    } else if (linkOnly) {
+        handleLinkChat(drag.id, targetFolderId);
+    } else {
+        handleMoveChat(drag.id, drag.sourceFolderId, targetFolderId);
+    }
+}
+
+/**
+ * Checks whether a folder's subfolders are shown in the tree.
+ * @param {number|string} folderId
+ * @returns {boolean}
+ */
+function isFolderExpanded(folderId) {
+    return uiState.expandedFolderIds.includes(String(folderId));
+}
+
+/**
+ * Opens or closes a folder card's subfolder list in the tree, if it has one, and remembers it.
+ * @param {number|string} folderId
+ * @param {boolean} expanded
+ */
+function setFolderExpanded(folderId, expanded) {
+    const container = document.getElementById(`sub-${folderId}`);
+    const btn = document.querySelector(`.toggle-sub-btn[data-target="sub-${folderId}"]`);
+    if (!container) return;
+    container.classList.toggle('hidden', !expanded);
+    if (btn) btn.innerText = expanded ? t('tree_expanded_icon') : t('tree_collapsed_icon');
+    const id = String(folderId);
+    uiState.expandedFolderIds = uiState.expandedFolderIds.filter(other => other !== id);
+    if (expanded) uiState.expandedFolderIds.push(id);
+    saveUiState();
+}
+
+/**
+ * Makes an element draggable as a chat or folder.
+ * @param {HTMLElement} el
+ * @param {{type: 'chat'|'folder', id: string, sourceFolderId: string|null}} drag
+ */
+function attachDragSource(el, drag) {
+    el.draggable = true;
+    el.ondragstart = (e) => {
+        e.stopPropagation();
+        dragState = drag;
+        e.dataTransfer.effectAllowed = drag.type === 'chat' ? 'copyMove' : 'move';
+        e.dataTransfer.setData(DRAG_DATA_TYPE, drag.id);
+        el.classList.add('dragging');
+    };
+    el.ondragend = endDrag;
+}
+
+/**
+ * Makes an element accept sidebar drops. Uses on* handlers so re-attaching after a render
+ * replaces the previous ones. Holding a modifier key (Ctrl, or Alt/Option) over a chat drop
+ * links the chat instead of moving it.
+ * @param {HTMLElement} el
+ * @param {Object} options
+ * @param {function(Object, DragEvent): string} [options.getZone] Receives dragState and the event and
+ *     returns 'before', 'after' or 'into' (the default when omitted).
+ * @param {function(Object, string): boolean} options.canDrop Receives dragState and the zone.
+ * @param {function(Object, boolean, string)} [options.onDrop] Receives dragState, whether to link and the zone.
+ *     Without it the element only reacts to hovering.
+ * @param {function()} [options.onHold] Runs once the drag has rested on the element for a moment.
+ */
+function attachDropTarget(el, options) {
+    if (!el) return;
+    // dragState can outlive a drag whose source was re-rendered away, so also check the drag is ours.
+    const isOwnDrag = (e) => dragState && Array.from(e.dataTransfer.types).includes(DRAG_DATA_TYPE);
+    el.ondragover = (e) => {
+        if (!isOwnDrag(e)) return;
+        // The innermost target decides; enclosing targets must not light up as well.
+        e.stopPropagation();
+        const zone = options.getZone ? options.getZone(dragState, e) : 'into';
+        if (!options.canDrop(dragState, zone)) return setActiveDropTarget(null);
+
+        const linkOnly = dragState.type === 'chat' && (e.ctrlKey || e.altKey);
+        if (activeDropTarget !== el) {
+            setActiveDropTarget(el);
+            if (options.onHold) dropHoldTimer = setTimeout(options.onHold, DRAG_HOLD_DELAY_MS);
+        }
+        el.classList.toggle('drop-link', linkOnly);
+        el.classList.toggle('drop-before', zone === 'before');
+        el.classList.toggle('drop-after', zone === 'after');
+        if (!options.onDrop) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = linkOnly ? 'copy' : 'move';
+    };
+    el.ondragleave = (e) => {
+        if (activeDropTarget === el && !el.contains(e.relatedTarget)) setActiveDropTarget(null);
+    };
+    el.ondrop = (e) => {
+        if (!isOwnDrag(e) || !options.onDrop) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const drag = dragState;
+        const linkOnly = drag.type === 'chat' && (e.ctrlKey || e.altKey);
+        const zone = options.getZone ? options.getZone(drag, e) : 'into';
+        endDrag();
+        if (options.canDrop(drag, zone)) options.onDrop(drag, linkOnly, zone);
+    };
+}
+
+/**
+ * Moves the drop highlight to another element and cancels any pending hover action.
+ * @param {HTMLElement|null} el
+ */
+function setActiveDropTarget(el) {
+    clearTimeout(dropHoldTimer);
+    dropHoldTimer = null;
+    if (activeDropTarget) activeDropTarget.classList.remove('drop-target', 'drop-link', 'drop-before', 'drop-after');
+    activeDropTarget = el;
+    if (el) el.classList.add('drop-target');
+}
+
+/**
+ * Clears drag state and highlights. Also runs on drop, since a render during the drag
+ * can remove the source element before its dragend fires.
+ */
+function endDrag() {
+    dragState = null;
+    setActiveDropTarget(null);
+    document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+}
+
+/**
+ * Tells which part of an element the pointer is over.
+ * @param {DragEvent} e
+ * @param {HTMLElement} el
+ * @param {number} edge Fraction of the height at the top and bottom that counts as before/after.
+ *     0.5 leaves no middle.
+ * @returns {'before'|'after'|'into'}
+ */
+function getDropZone(e, el, edge) {
+    const rect = el.getBoundingClientRect();
+    const offset = rect.height > 0 ? (e.clientY - rect.top) / rect.height : 0.5;
+    if (offset < edge) return 'before';
+    if (offset >= 1 - edge) return 'after';
+    return 'into';
+}
+
+/**
+ * Moves a folder right before or after another folder, at that folder's level.
+ * @param {number|string} folderId
+ * @param {number|string} targetId
+ * @param {'before'|'after'} placement
+ */
+function placeFolderNextTo(folderId, targetId, placement) {
+    const context = getFolderContext(folderId);
+    if (!context || folderId == targetId || isFolderDescendant(context.folder, targetId)) return;
+
+    const [folder] = context.siblings.splice(context.index, 1);
+    const target = getFolderContext(targetId);
+    target.siblings.splice(target.index + (placement === 'after' ? 1 : 0), 0, folder);
+    saveAndRefresh();
+    getFolderPath(folderId).slice(0, -1).forEach(f => setFolderExpanded(f.id, true));
+    showUndoToast(t('folder_moved_toast'));
 }
 
 /**
@@ -1705,77 +6205,19 @@ function showQuickSaveMenu() {
     const autoList = document.getElementById('tag-autocomplete-list');
 
     const existing = folderData.allChats[chatId];
-    tagInput.value = existing?.tags ? existing.tags.map(t => `#${t.replace(/^#+/, '')}`).join(', ') + ', ' : "";
+    tagInput.value = formatTagInput(existing?.tags);
     noteInput.value = existing?.annotation || "";
 
+    // A fresh input drops the listeners from the previous time the menu was opened.
     const newTagInput = tagInput.cloneNode(true);
     tagInput.parentNode.replaceChild(newTagInput, tagInput);
     const activeTagInput = document.getElementById('quick-save-tags');
-
-    /**
-     * Renders tag suggestions based on user input.
-     * @param {string} inputValue
-     */
-    const renderSuggestions = (inputValue) => {
-        const parts = inputValue.split(','); 
-        const rawToken = parts[parts.length - 1].trim().toLowerCase();
-        const searchToken = rawToken.replace(/^#+/, ''); 
-        const allTags = getAllUniqueTags(); 
-        
-        const usedTags = parts.slice(0, -1).map(p => {
-            return p.trim().toLowerCase().replace(/^#+/, '');
-        });
-        
-        const matches = allTags.filter(t => {
-            const cleanTag = t.toLowerCase().replace(/^#+/, '');
-            const isMatch = searchToken === "" || cleanTag.startsWith(searchToken);
-            const isUsed = usedTags.includes(cleanTag);
-            const isExact = searchToken !== "" && cleanTag === searchToken;
-
-            return isMatch && !isUsed && !isExact;
-        });
-
-        if (matches.length === 0 || !autoList) {
-            if(autoList) autoList.classList.add('hidden');
-            return;
-        }
-
-        autoList.innerHTML = matches.map(t => {
-            const cleanDisplay = t.replace(/^#+/, '');
-            return `<div class="auto-item">#${cleanDisplay}</div>`;
-        }).join('');
-        
-        autoList.classList.remove('hidden');
-
-        autoList.querySelectorAll('.auto-item').forEach(item => {
-            item.onclick = () => {
-                parts[parts.length - 1] = item.innerText; 
-                activeTagInput.value = parts.join(', ') + ', '; 
-                activeTagInput.focus();
-                autoList.classList.add('hidden');
-            };
-        });
-    };
-
-    activeTagInput.oninput = function() { renderSuggestions(this.value); };
-    activeTagInput.onfocus = function() { renderSuggestions(this.value); };
-    activeTagInput.onclick = function(e) { 
-        e.stopPropagation(); 
-        renderSuggestions(this.value); 
-    };
-
-    const closeAuto = (e) => {
-        if (autoList && !autoList.classList.contains('hidden') && e.target !== activeTagInput && !autoList.contains(e.target)) {
-            autoList.classList.add('hidden');
-        }
-    };
-    document.removeEventListener('click', closeAuto);
-    document.addEventListener('click', closeAuto);
+    const detachAutocomplete = attachTagAutocomplete(activeTagInput, autoList);
 
     let allFolders = [];
     const traverse = (folders, prefix = "") => {
         folders.forEach(f => {
-            allFolders.push({ ...f, displayName: prefix + f.name });
+            if (!isSmartFolder(f)) allFolders.push({ ...f, displayName: prefix + f.name });
             if (f.subfolders) traverse(f.subfolders, prefix + "↳ ");
         });
     };
@@ -1797,26 +6239,305 @@ function showQuickSaveMenu() {
 
     list.querySelectorAll('.quick-save-item').forEach(item => {
         item.onclick = () => {
-            const rawTags = activeTagInput.value ? activeTagInput.value.split(',') : [];
-            const tags = rawTags.map(t => {
-                const clean = t.trim().replace(/^#+/, ''); 
-                return clean.length > 0 ? `#${clean}` : null;
-            }).filter(t => t); 
+            const tags = parseTagInput(activeTagInput.value);
 
             const note = noteInput.value.trim();
             const chatTitle = getRealChatTitle(chatId);
             
             if (saveChatToFolder(item.getAttribute('data-id'), chatId, chatTitle, tags, note)) {
                 hideQuickSaveMenu();
-                document.removeEventListener('click', closeAuto);
+                detachAutocomplete();
             }
         };
     });
 
-    document.getElementById('cancel-save-btn').onclick = () => {
-        hideQuickSaveMenu();
-        document.removeEventListener('click', closeAuto);
+    document.getElementById('cancel-save-btn').onclick = () => {
+        hideQuickSaveMenu();
+        detachAutocomplete();
+    };
+}
+
+/**
+ * Adds tag suggestions to a comma-separated tag input. Arrow keys move through the list,
+ * Enter or Tab picks the highlighted tag and Escape closes the list.
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} autoList Container for the suggestions, positioned under the input.
+ * @returns {function()} Removes the document listener added here.
+ */
+function attachTagAutocomplete(input, autoList) {
+    let activeIndex = -1;
+
+    /**
+     * Replaces the tag being typed with a suggestion.
+     * @param {string} tag
+     */
+    const pick = (tag) => {
+        const parts = input.value.split(',');
+        parts[parts.length - 1] = tag;
+        input.focus();
+        // A namespace is only a step towards a tag, so keep typing in it and offer its next level.
+        if (tag.endsWith('/')) {
+            input.value = parts.map(p => p.trim()).join(', ');
+            input.dispatchEvent(new Event('input'));
+            renderSuggestions();
+            return;
+        }
+        input.value = parts.map(p => p.trim()).join(', ') + ', ';
+        autoList.classList.add('hidden');
+        input.dispatchEvent(new Event('input'));
+    };
+
+    /**
+     * Renders tag suggestions based on user input. Slash-delimited tags are offered one level at a
+     * time: typing "#client/" suggests "#client/acme/" rather than every tag below it.
+     */
+    const renderSuggestions = () => {
+        const parts = input.value.split(',');
+        const searchToken = parts[parts.length - 1].trim().toLowerCase().replace(/^#+/, '');
+        const usedTags = parts.slice(0, -1).map(p => p.trim().toLowerCase().replace(/^#+/, ''));
+        const level = searchToken.lastIndexOf('/') + 1;
+
+        const seen = new Set();
+        const matches = [];
+        getAllUniqueTags().forEach(tag => {
+            const cleanTag = tag.toLowerCase().replace(/^#+/, '');
+            if (!cleanTag.startsWith(searchToken) || usedTags.includes(cleanTag)) return;
+            // Cut the tag after the next name segment, keeping the slash if the tag goes deeper.
+            const end = cleanTag.indexOf('/', level);
+            const suggestion = end === -1 ? tag : tag.slice(0, end + 2);
+            const key = suggestion.toLowerCase();
+            if (key.slice(1) === searchToken || seen.has(key)) return;
+            seen.add(key);
+            matches.push(suggestion);
+        });
+
+        activeIndex = -1;
+        if (matches.length === 0) {
+            autoList.classList.add('hidden');
+            return;
+        }
+
+        autoList.innerHTML = '';
+        matches.forEach(tag => {
+            const item = document.createElement('div');
+            item.className = 'auto-item';
+            item.textContent = `#${tag.replace(/^#+/, '')}`;
+            item.onclick = (e) => {
+                e.stopPropagation();
+                pick(item.textContent);
+            };
+            autoList.appendChild(item);
+        });
+        autoList.classList.remove('hidden');
+    };
+
+    input.addEventListener('input', (e) => {
+        // Picking a suggestion dispatches a synthetic input event; keep the list closed for it.
+        if (e.isTrusted) renderSuggestions();
+    });
+    input.addEventListener('focus', renderSuggestions);
+    input.addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderSuggestions();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (autoList.classList.contains('hidden')) return;
+        const items = autoList.querySelectorAll('.auto-item');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+            items.forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+            items[activeIndex].scrollIntoView({ block: 'nearest' });
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+            e.preventDefault();
+            e.stopPropagation();
+            pick(items[activeIndex].textContent);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            autoList.classList.add('hidden');
+        }
+    });
+
+    const closeAuto = (e) => {
+        if (!autoList.classList.contains('hidden') && e.target !== input && !autoList.contains(e.target)) {
+            autoList.classList.add('hidden');
+        }
+    };
+    document.addEventListener('click', closeAuto);
+    return () => document.removeEventListener('click', closeAuto);
+}
+
+/**
+ * Splits a comma-separated tag input into normalized, de-duplicated '#tag' entries.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseTagInput(value) {
+    const tags = (value || '').split(',').map(tag => {
+        const clean = tag.trim().replace(/^#+/, '');
+        return clean.length > 0 ? `#${clean}` : null;
+    }).filter(tag => tag);
+    return Array.from(new Set(tags));
+}
+
+/**
+ * Formats saved tags for a tag input, ending with a separator so the next tag can be typed straight away.
+ * @param {string[]} [tags]
+ * @returns {string}
+ */
+function formatTagInput(tags) {
+    if (!tags || tags.length === 0) return '';
+    return tags.map(tag => `#${tag.replace(/^#+/, '')}`).join(', ') + ', ';
+}
+
+/**
+ * Shows a form dialog inside the panel in place of native prompt()/confirm(), which block the page.
+ * Enter submits (Ctrl+Enter in multi-line fields) and Escape cancels. Validation errors are shown
+ * next to their field and keep the dialog open.
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.message] Plain text shown above the fields.
+ * @param {DialogField[]} [options.fields]
+ * @param {string} [options.confirmLabel]
+ * @param {boolean} [options.danger] Styles the confirm button as destructive.
+ * @param {function(Object<string, string>): (string|void)} onSubmit Receives the trimmed values.
+ *     Returning a message shows it in the dialog and keeps it open.
+ * @param {function()} [onCancel]
+ */
+function showDialog(options, onSubmit, onCancel) {
+    const dialog = document.getElementById('maktaba-dialog');
+    if (!dialog) return;
+    const panel = document.getElementById('maktaba-right-panel');
+    const returnFocus = document.activeElement;
+
+    dialog.innerHTML = `
+        <form class="dialog-box" role="dialog" aria-modal="true" novalidate>
+            <div class="dialog-title"></div>
+            <div class="dialog-message"></div>
+            <div class="dialog-fields"></div>
+            <div class="dialog-error"></div>
+            <div class="dialog-actions">
+                <button type="button" class="dialog-cancel-btn">${t('cancel_btn')}</button>
+                <button type="submit" class="dialog-confirm-btn"></button>
+            </div>
+        </form>
+    `;
+    const form = dialog.querySelector('.dialog-box');
+    form.querySelector('.dialog-title').textContent = options.title;
+    form.querySelector('.dialog-message').textContent = options.message || '';
+    const confirmBtn = form.querySelector('.dialog-confirm-btn');
+    confirmBtn.textContent = options.confirmLabel || t('dialog_ok_btn');
+    if (options.danger) confirmBtn.classList.add('danger');
+
+    const fields = options.fields || [];
+    const inputs = {};
+    const detachers = [];
+    fields.forEach(field => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'dialog-field';
+        wrapper.innerHTML = `
+            <label class="dialog-label"></label>
+            <div class="dialog-input-wrapper"></div>
+            <div class="dialog-field-error"></div>
+        `;
+        const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+        if (field.type !== 'textarea') input.type = 'text';
+        input.className = 'tag-input dialog-input';
+        input.id = `maktaba-dialog-${field.name}`;
+        input.value = field.value || '';
+        input.placeholder = field.placeholder || '';
+        input.autocomplete = 'off';
+
+        const label = wrapper.querySelector('.dialog-label');
+        label.textContent = field.label;
+        label.htmlFor = input.id;
+        const inputWrapper = wrapper.querySelector('.dialog-input-wrapper');
+        inputWrapper.appendChild(input);
+        if (field.type === 'tags') {
+            const autoList = document.createElement('div');
+            autoList.className = 'dialog-autocomplete hidden';
+            inputWrapper.appendChild(autoList);
+            detachers.push(attachTagAutocomplete(input, autoList));
+        }
+
+        const errorEl = wrapper.querySelector('.dialog-field-error');
+        input.addEventListener('input', () => {
+            errorEl.textContent = '';
+            if (field.onInput) field.onInput(input.value, inputs);
+        });
+        inputs[field.name] = input;
+        form.querySelector('.dialog-fields').appendChild(wrapper);
+    });
+
+    const close = () => {
+        detachers.forEach(detach => detach());
+        dialog.classList.add('hidden');
+        dialog.innerHTML = '';
+        if (returnFocus && panel && panel.contains(returnFocus)) returnFocus.focus();
+        else if (panel) panel.focus();
+    };
+    const cancel = () => {
+        close();
+        if (onCancel) onCancel();
+    };
+
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        const values = {};
+        Object.keys(inputs).forEach(name => { values[name] = inputs[name].value.trim(); });
+
+        let firstInvalid = null;
+        fields.forEach(field => {
+            let error = null;
+            if (field.required && values[field.name] === '') error = t('dialog_required_error');
+            else if (field.validate) error = field.validate(values[field.name], values);
+            inputs[field.name].closest('.dialog-field').querySelector('.dialog-field-error').textContent = error || '';
+            if (error && !firstInvalid) firstInvalid = inputs[field.name];
+        });
+        if (firstInvalid) return firstInvalid.focus();
+
+        const formError = onSubmit(values);
+        if (formError) {
+            form.querySelector('.dialog-error').textContent = formError;
+            return;
+        }
+        close();
+    };
+    form.querySelector('.dialog-cancel-btn').onclick = cancel;
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            cancel();
+        } else if (e.key === 'Enter' && e.target.tagName === 'TEXTAREA' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            form.requestSubmit();
+        }
+    });
+    dialog.onclick = (e) => {
+        if (e.target === dialog) cancel();
     };
+
+    dialog.classList.remove('hidden');
+    const first = form.querySelector('.dialog-input') || confirmBtn;
+    first.focus();
+    if (first.select) first.select();
+}
+
+/**
+ * Asks a yes/no question with showDialog.
+ * @param {string} message
+ * @param {function()} onConfirm
+ * @param {{title?: string, confirmLabel?: string, danger?: boolean}} [options]
+ */
+function showConfirmDialog(message, onConfirm, options = {}) {
+    showDialog({
+        title: options.title || t('dialog_confirm_title'),
+        message,
+        confirmLabel: options.confirmLabel,
+        danger: options.danger
+    }, () => { onConfirm(); });
 }
 
 /**
@@ -1840,32 +6561,46 @@ document.addEventListener('click', (e) => {
 });
 
 /**
- * Calculates current usage against the 100KB chrome.storage.sync quota.
+ * Calculates current usage for each storage tier: the 100KB chrome.storage.sync quota
+ * (compressed, including shard key overhead) and the local overflow in chrome.storage.local.
+ * Also reports the raw JSON size of the synced data next to its compressed size.
  */
 function updateStorageStats() {
     if (!folderData) return;
-    const json = JSON.stringify(folderData);
-    const bytes = new Blob([json]).size;
-    const pct = ((bytes / 102400) * 100).toFixed(1);
+    const { core, overflow } = splitStorageTiers(folderData);
+    const bytes = getShardBytes(buildLibraryShards(core));
+    const rawBytes = new Blob([JSON.stringify(core)]).size;
+    const pct = ((bytes / SYNC_QUOTA_BYTES) * 100).toFixed(1);
+    const localBytes = new Blob([JSON.stringify(overflow)]).size;
+    const localPct = ((localBytes / LOCAL_QUOTA_BYTES) * 100).toFixed(1);
+    const offloadedCount = Object.values(overflow.chats).reduce((sum, fields) => sum + Object.keys(fields).length, 0);
     
     const textEl = document.getElementById('storage-text');
+    const compressionEl = document.getElementById('storage-compression-text');
     const barEl = document.getElementById('storage-bar');
+    const localTextEl = document.getElementById('storage-local-text');
+    const localBarEl = document.getElementById('storage-local-bar');
     
     if(textEl) textEl.innerText = t('storage_used_text', [(bytes/1024).toFixed(2)]);
+    if(compressionEl) compressionEl.innerText = t('storage_compression_text', [(rawBytes/1024).toFixed(2), (bytes/1024).toFixed(2)]);
     if(barEl) {
         barEl.style.width = `${pct}%`;
         barEl.style.backgroundColor = pct > 90 ? '#ffb4ab' : '#a8c7fa';
     }
+    if(localTextEl) localTextEl.innerText = t('storage_local_used_text', [(localBytes/1024).toFixed(2), offloadedCount]);
+    if(localBarEl) localBarEl.style.width = `${localPct}%`;
 }
 
 /**
  * Generates and downloads a diagnostic JSON file for troubleshooting data integrity and system performanace.
  */
 function generateDiagnosticLog() {
-    const bytes = new Blob([JSON.stringify(folderData)]).size;
+    const { core, overflow } = splitStorageTiers(folderData);
+    const shards = buildLibraryShards(core);
+    const bytes = getShardBytes(shards);
     const unlinkedCount = findUnlinked().length;
     
-    const stats = window.maktabaStats || { renders: 0, skips: 0 };
+    const stats = window.maktabaStats || { renders: 0, lastRenderMs: 0, totalRenderMs: 0, maxRenderMs: 0, skips: 0, indexBuilds: 0, lastIndexBuildMs: 0, totalIndexBuildMs: 0 };
 
     const log = {
         meta: { 
@@ -1876,7 +6611,11 @@ function generateDiagnosticLog() {
         },
         storage: { 
             bytes_used: bytes, 
-            quota_pct: ((bytes/102400)*100).toFixed(2) 
+            raw_bytes: new Blob([JSON.stringify(core)]).size,
+            quota_pct: ((bytes/SYNC_QUOTA_BYTES)*100).toFixed(2),
+            items: Object.keys(shards).length,
+            local_bytes_used: new Blob([JSON.stringify(overflow)]).size,
+            offloaded_chats: Object.keys(overflow.chats).length
         },
         counts: { 
             folders: folderData.folders.length, 
@@ -1887,7 +6626,13 @@ function generateDiagnosticLog() {
         },
         activity: {
             session_renders: stats.renders,
-            session_skips: stats.skips 
+            last_render_ms: Number(stats.lastRenderMs.toFixed(2)),
+            avg_render_ms: stats.renders > 0 ? Number((stats.totalRenderMs / stats.renders).toFixed(2)) : 0,
+            max_render_ms: Number(stats.maxRenderMs.toFixed(2)),
+            session_skips: stats.skips,
+            index_builds: stats.indexBuilds,
+            last_index_build_ms: Number(stats.lastIndexBuildMs.toFixed(2)),
+            total_index_build_ms: Number(stats.totalIndexBuildMs.toFixed(2))
         },
         integrity: { 
             is_clean: unlinkedCount === 0 
@@ -1924,12 +6669,17 @@ function pruneUnlinked() {
     const unlinked = findUnlinked();
     if (unlinked.length === 0) return alert(t('system_clean_alert'));
     
-    if (confirm(t('prune_confirm', [unlinked.length]))) {
-        unlinked.forEach(id => delete folderData.allChats[id]);
+    showConfirmDialog(t('prune_confirm', [unlinked.length]), () => {
+        // Chats may have been filed elsewhere while the dialog was open.
+        const current = findUnlinked();
+        if (current.length === 0) return;
+        takeSnapshot('prune');
+        addToTrash(current.map(id => createChatTrashEntry(folderData.allChats[id], [])));
+        current.forEach(id => delete folderData.allChats[id]);
         saveAndRefresh();
         updateStorageStats();
-        alert(t('prune_success_alert', [unlinked.length]));
-    }
+        showUndoToast(t('prune_success_alert', [current.length]));
+    }, { confirmLabel: t('dialog_delete_btn'), danger: true });
 }
 
 /**
@@ -1942,7 +6692,16 @@ function archiveUnlinked() {
         return alert(t('system_clean_alert'));
     }
 
-    if (!confirm(t('archive_confirm', [unlinkedIds.length]))) return;
+    showConfirmDialog(t('archive_confirm', [unlinkedIds.length]), moveUnlinkedToRecoveryFolder);
+}
+
+/**
+ * Creates a 'Recovered' folder holding every unlinked chat.
+ */
+function moveUnlinkedToRecoveryFolder() {
+    const unlinkedIds = findUnlinked();
+    if (unlinkedIds.length === 0) return;
+    takeSnapshot('archive');
 
     // Create a new folder containing all these loose IDs
     const recoveryFolder = { 
@@ -1960,4 +6719,785 @@ function archiveUnlinked() {
     // Update the UI immediately
     updateStorageStats();
     alert(t('archive_success_alert', [recoveryFolder.name, unlinkedIds.length]));
-}
\ No newline at end of file
+}
+
+/**
+ * Reads the trash, dropping entries older than the retention period.
+ * @param {function({retentionDays: number, items: TrashEntry[]})} callback
+ */
+function readTrash(callback) {
+    chrome.storage.local.get([TRASH_KEY], (items) => {
+        if (chrome.runtime.lastError) return;
+        const trash = items[TRASH_KEY] || { retentionDays: DEFAULT_TRASH_RETENTION_DAYS, items: [] };
+        if (trash.retentionDays > 0) {
+            const cutoff = Date.now() - trash.retentionDays * 86400000;
+            const kept = trash.items.filter(item => item.deletedAt >= cutoff);
+            if (kept.length !== trash.items.length) {
+                trash.items = kept;
+                writeTrash(trash);
+            }
+        }
+        callback(trash);
+    });
+}
+
+/**
+ * Stores the trash.
+ * @param {{retentionDays: number, items: TrashEntry[]}} trash
+ * @param {function()} [callback]
+ */
+function writeTrash(trash, callback) {
+    chrome.storage.local.set({ [TRASH_KEY]: trash }, () => {
+        if (chrome.runtime.lastError) return console.warn(chrome.runtime.lastError);
+        if (callback) callback();
+    });
+}
+
+/**
+ * Adds entries to the top of the trash, giving each a unique ID.
+ * @param {TrashEntry[]} entries Entries without an ID yet.
+ */
+function addToTrash(entries) {
+    if (entries.length === 0) return;
+    readTrash((trash) => {
+        let nextId = Math.max(Date.now(), ...trash.items.map(item => item.id + 1));
+        entries.forEach(entry => { entry.id = nextId++; });
+        trash.items = [...entries, ...trash.items];
+        writeTrash(trash, renderTrash);
+    });
+}
+
+/**
+ * Formats a folder's path from the root, e.g. "Work > Q3".
+ * @param {number|null} folderId
+ * @returns {string} The path, or an empty string for the root.
+ */
+function getFolderPathLabel(folderId) {
+    return folderId === null ? '' : getFolderPath(folderId).map(f => f.name).join(' > ');
+}
+
+/**
+ * Captures a folder, its subtree and the metadata of every chat inside it before deletion.
+ * @param {{folder: Folder, siblings: Folder[], index: number}} context
+ * @returns {TrashEntry}
+ */
+function createFolderTrashEntry(context) {
+    const parent = findParentFolderOfArray(context.siblings);
+    const parentId = parent ? parent.id : null;
+    const chats = {};
+    const collect = (folder) => {
+        (folder.chatIds || []).forEach(id => {
+            if (folderData.allChats[id]) chats[id] = folderData.allChats[id];
+        });
+        (folder.subfolders || []).forEach(collect);
+    };
+    collect(context.folder);
+
+    return {
+        kind: 'folder',
+        deletedAt: Date.now(),
+        location: getFolderPathLabel(parentId) || t('trash_location_root'),
+        folder: JSON.parse(JSON.stringify(context.folder)),
+        parentId,
+        index: context.index,
+        chats: JSON.parse(JSON.stringify(chats))
+    };
+}
+
+/**
+ * Captures a chat's metadata and the folders it was linked from before deletion.
+ * @param {ChatEntry} chat
+ * @param {Folder[]} folders
+ * @returns {TrashEntry}
+ */
+function createChatTrashEntry(chat, folders) {
+    return {
+        kind: 'chat',
+        deletedAt: Date.now(),
+        location: folders.map(f => getFolderPathLabel(f.id)).join(', ') || t('trash_location_unlinked'),
+        chat: JSON.parse(JSON.stringify(chat)),
+        folderIds: folders.map(f => f.id)
+    };
+}
+
+/**
+ * Renders the trash list and retention picker in the settings overlay.
+ */
+function renderTrash() {
+    const list = document.getElementById('trash-list');
+    const select = document.getElementById('trash-retention-select');
+    if (!list || !select) return;
+
+    readTrash((trash) => {
+        select.innerHTML = '';
+        TRASH_RETENTION_DAYS.forEach(days => {
+            const option = document.createElement('option');
+            option.value = days;
+            option.textContent = days > 0 ? t('trash_retention_days', [days]) : t('trash_retention_forever');
+            option.selected = days === trash.retentionDays;
+            select.appendChild(option);
+        });
+
+        list.innerHTML = '';
+        if (trash.items.length === 0) {
+            list.innerHTML = `<div class="trash-empty">${t('trash_empty_text')}</div>`;
+            return;
+        }
+        trash.items.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'trash-item';
+            row.innerHTML = `
+                <div class="trash-item-info">
+                    <div class="trash-item-name"></div>
+                    <div class="trash-item-meta"></div>
+                </div>
+                <button class="trash-restore-btn" title="${t('trash_restore_title')}">${t('trash_restore_icon')}</button>
+                <button class="trash-delete-btn" title="${t('trash_delete_title')}">×</button>
+            `;
+            const name = entry.kind === 'folder'
+                ? t('merge_preview_folder_item', [entry.folder.name])
+                : t('merge_preview_chat_item', [entry.chat.title]);
+            row.querySelector('.trash-item-name').textContent = name;
+            row.querySelector('.trash-item-name').title = name;
+            row.querySelector('.trash-item-meta').textContent = t('trash_item_meta', [entry.location, new Date(entry.deletedAt).toLocaleDateString()]);
+            row.querySelector('.trash-restore-btn').onclick = () => restoreFromTrash(entry.id);
+            row.querySelector('.trash-delete-btn').onclick = () => deleteFromTrash(entry.id);
+            list.appendChild(row);
+        });
+    });
+}
+
+/**
+ * Puts a trashed folder or chat back where it was and removes it from the trash.
+ * Folders whose parent no longer exists return to the root.
+ * @param {number} entryId
+ */
+function restoreFromTrash(entryId) {
+    if (libraryLocked) return alert(t('schema_locked_save_alert'));
+    if (!libraryLoaded) return alert(t('library_syncing_save_alert'));
+    readTrash((trash) => {
+        const entry = trash.items.find(item => item.id === entryId);
+        if (!entry) return;
+        trash.items = trash.items.filter(item => item !== entry);
+
+        let message;
+        if (entry.kind === 'folder') {
+            if (getFolderContext(entry.folder.id)) {
+                message = t('trash_already_restored_toast');
+            } else {
+                Object.keys(entry.chats || {}).forEach(id => {
+                    if (!folderData.allChats[id]) folderData.allChats[id] = entry.chats[id];
+                });
+                const parent = entry.parentId === null ? null : getFolderContext(entry.parentId);
+                const siblings = parent ? parent.folder.subfolders : folderData.folders;
+                siblings.splice(Math.min(entry.index, siblings.length), 0, entry.folder);
+                message = (entry.parentId === null || parent) ? t('trash_restored_toast') : t('trash_restored_root_toast');
+            }
+        } else {
+            const chatId = entry.chat.id;
+            if (!folderData.allChats[chatId]) folderData.allChats[chatId] = entry.chat;
+            entry.folderIds.forEach(folderId => {
+                const context = getFolderContext(folderId);
+                if (context && !context.folder.chatIds.includes(chatId)) context.folder.chatIds.push(chatId);
+            });
+            message = findAllFoldersForChat(chatId).length > 0 ? t('trash_restored_toast') : t('trash_restored_unlinked_toast');
+        }
+
+        writeTrash(trash, renderTrash);
+        saveAndRefresh();
+        showToast(message);
+    });
+}
+
+/**
+ * Removes one entry from the trash for good.
+ * @param {number} entryId
+ */
+function deleteFromTrash(entryId) {
+    readTrash((trash) => {
+        trash.items = trash.items.filter(item => item.id !== entryId);
+        writeTrash(trash, renderTrash);
+    });
+}
+
+/**
+ * Permanently deletes everything in the trash after confirmation.
+ */
+function emptyTrash() {
+    readTrash((trash) => {
+        if (trash.items.length === 0) return;
+        showConfirmDialog(t('empty_trash_confirm', [trash.items.length]), () => {
+            // Read again: items may have been added while the dialog was open.
+            readTrash((current) => {
+                current.items = [];
+                writeTrash(current, renderTrash);
+            });
+        }, { confirmLabel: t('empty_trash_btn'), danger: true });
+    });
+}
+
+/**
+ * Changes how long trash entries are kept and expires older ones right away.
+ * @param {number} days 0 keeps entries until the trash is emptied.
+ */
+function setTrashRetention(days) {
+    readTrash((trash) => {
+        trash.retentionDays = days;
+        writeTrash(trash, renderTrash);
+    });
+}
+
+/**
+ * Reads the stored snapshots, newest first.
+ * @param {function(Array<{id: number, createdAt: number, day: string, reason: string, data: string}>)} callback
+ */
+function readSnapshots(callback) {
+    chrome.storage.local.get([SNAPSHOTS_KEY], (items) => {
+        if (chrome.runtime.lastError) return;
+        callback(items[SNAPSHOTS_KEY] || []);
+    });
+}
+
+/**
+ * Stores a compressed copy of the library as it is right now, dropping the oldest beyond SNAPSHOT_LIMIT.
+ * The copy is taken synchronously, so callers can mutate folderData straight after.
+ * @param {'daily'|'import'|'prune'|'archive'|'restore'|'manual'} reason
+ * @param {function()} [callback]
+ * @param {string} [json] Library JSON to store instead of the current folderData.
+ */
+function takeSnapshot(reason, callback, json = JSON.stringify(folderData)) {
+    const snapshot = { createdAt: Date.now(), day: getLocalDateString(), reason, data: lzCompress(json) };
+    readSnapshots((snapshots) => {
+        snapshot.id = Math.max(Date.now(), ...snapshots.map(s => s.id + 1));
+        const kept = [snapshot, ...snapshots].slice(0, SNAPSHOT_LIMIT);
+        chrome.storage.local.set({ [SNAPSHOTS_KEY]: kept }, () => {
+            if (chrome.runtime.lastError) return console.warn(chrome.runtime.lastError);
+            if (callback) callback();
+        });
+    });
+}
+
+/**
+ * Snapshots the library as it was before the day's first change.
+ */
+function takeDailySnapshot() {
+    const today = getLocalDateString();
+    if (lastDailySnapshotDate === today || historyState === null) return;
+    lastDailySnapshotDate = today;
+    const before = historyState;
+    readSnapshots((snapshots) => {
+        if (!snapshots.some(s => s.reason === 'daily' && s.day === today)) takeSnapshot('daily', null, before);
+    });
+}
+
+/**
+ * Summarizes what restoring one library over another would change.
+ * @param {Object} current The library now.
+ * @param {Object} target The library after a restore.
+ * @returns {{folders: {added: string[], removed: string[]}, chats: {added: string[], removed: string[]}, tags: {added: string[], removed: string[]}}}
+ */
+function diffLibraries(current, target) {
+    const compare = (before, after) => ({
+        added: Array.from(after.keys()).filter(key => !before.has(key)).map(key => after.get(key)),
+        removed: Array.from(before.keys()).filter(key => !after.has(key)).map(key => before.get(key))
+    });
+    const folderNames = (library) => new Map(Array.from(flattenFolders(library.folders).values()).map(f => [String(f.id), f.name]));
+    const chatTitles = (library) => new Map(Object.keys(library.allChats || {}).map(id => [id, library.allChats[id].title]));
+    const tags = (library) => new Map(buildTagDictionary(library.allChats || {}).map(tag => [tag, tag]));
+
+    return {
+        folders: compare(folderNames(current), folderNames(target)),
+        chats: compare(chatTitles(current), chatTitles(target)),
+        tags: compare(tags(current), tags(target))
+    };
+}
+
+/**
+ * Renders the snapshot list in the settings overlay, each with a diff against the current library.
+ */
+function renderSnapshots() {
+    const list = document.getElementById('snapshot-list');
+    if (!list) return;
+
+    readSnapshots((snapshots) => {
+        list.innerHTML = '';
+        if (snapshots.length === 0) {
+            list.innerHTML = `<div class="trash-empty">${t('snapshots_empty_text')}</div>`;
+            return;
+        }
+        snapshots.forEach(snapshot => {
+            const row = document.createElement('div');
+            row.className = 'snapshot-item';
+            row.innerHTML = `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <div class="trash-item-name"></div>
+                        <div class="trash-item-meta"></div>
+                    </div>
+                    <button class="snapshot-diff-btn snapshot-action-btn">${t('snapshot_compare_btn')}</button>
+                    <button class="snapshot-restore-btn snapshot-action-btn">${t('snapshot_restore_btn')}</button>
+                </div>
+                <div class="snapshot-diff hidden"></div>
+            `;
+            row.querySelector('.trash-item-name').textContent = new Date(snapshot.createdAt).toLocaleString();
+            row.querySelector('.trash-item-meta').textContent = t(`snapshot_reason_${snapshot.reason}`);
+            row.querySelector('.snapshot-diff-btn').onclick = () => toggleSnapshotDiff(row.querySelector('.snapshot-diff'), snapshot);
+            row.querySelector('.snapshot-restore-btn').onclick = () => restoreSnapshot(snapshot);
+            list.appendChild(row);
+        });
+    });
+}
+
+/**
+ * Shows or hides the diff summary for a snapshot. Decompression happens on first open.
+ * @param {HTMLElement} container
+ * @param {{data: string}} snapshot
+ */
+function toggleSnapshotDiff(container, snapshot) {
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    const target = readSnapshotLibrary(snapshot);
+    if (!target) return;
+    const diff = diffLibraries(folderData, target);
+    const MAX_NAMES = 10;
+
+    container.innerHTML = '';
+    [['folders', 'snapshot_diff_folders'], ['chats', 'snapshot_diff_chats'], ['tags', 'snapshot_diff_tags']].forEach(([section, key]) => {
+        const { added, removed } = diff[section];
+        const line = document.createElement('div');
+        line.className = 'import-preview-heading';
+        line.textContent = t(key, [added.length, removed.length]);
+        container.appendChild(line);
+
+        [
+            ...added.map(name => t('snapshot_diff_added_item', [name])),
+            ...removed.map(name => t('snapshot_diff_removed_item', [name]))
+        ].slice(0, MAX_NAMES).forEach(text => {
+            const item = document.createElement('div');
+            item.className = 'import-preview-item';
+            item.textContent = text;
+            item.title = text;
+            container.appendChild(item);
+        });
+        if (added.length + removed.length > MAX_NAMES) {
+            const more = document.createElement('div');
+            more.className = 'import-preview-item';
+            more.textContent = t('merge_preview_more', [added.length + removed.length - MAX_NAMES]);
+            container.appendChild(more);
+        }
+    });
+    container.classList.remove('hidden');
+}
+
+/**
+ * Decodes the library kept in a snapshot, telling the user if it is damaged.
+ * @param {{data: string}} snapshot
+ * @returns {Object|null} The library, or null if the snapshot cannot be read.
+ */
+function readSnapshotLibrary(snapshot) {
+    try {
+        const library = JSON.parse(lzDecompress(snapshot.data));
+        if (library && typeof library === 'object') return library;
+    } catch (error) {
+        // Reported below, like data that decodes to something other than a library.
+    }
+    alert(t('snapshot_damaged_alert'));
+    return null;
+}
+
+/**
+ * Replaces the library with a snapshot after confirmation. The current library is snapshotted
+ * first, and the restore itself can be undone.
+ * @param {{createdAt: number, data: string}} snapshot
+ */
+function restoreSnapshot(snapshot) {
+    const stored = readSnapshotLibrary(snapshot);
+    if (!stored) return;
+    const migrated = migrateLibrary(stored);
+    if (!migrated) return alert(t('backup_too_new_alert', [stored.schemaVersion, SCHEMA_VERSION]));
+    showConfirmDialog(t('snapshot_restore_confirm', [new Date(snapshot.createdAt).toLocaleString()]), () => {
+        takeSnapshot('restore', renderSnapshots);
+        folderData = migrated;
+        saveAndRefresh();
+        showUndoToast(t('snapshot_restored_toast'));
+    }, { confirmLabel: t('snapshot_restore_btn'), danger: true });
+}
+
+/**
+ * Toggles the command palette on Ctrl/Cmd+Shift+K.
+ * @param {KeyboardEvent} e
+ */
+function handlePaletteHotkey(e) {
+    if (!(e.ctrlKey || e.metaKey) || !e.shiftKey || e.key.toLowerCase() !== PALETTE_HOTKEY) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (paletteState) closeCommandPalette();
+    else openCommandPalette();
+}
+
+/**
+ * Opens the command palette over the page, creating it on first use.
+ * @param {'root'|'save'} [mode] 'save' lists folders to save the current chat into.
+ */
+function openCommandPalette(mode = 'root') {
+    let palette = document.getElementById('maktaba-palette');
+    if (!palette) {
+        palette = document.createElement('div');
+        palette.id = 'maktaba-palette';
+        palette.innerHTML = `
+            <div class="palette-box">
+                <input type="text" id="palette-input" autocomplete="off" spellcheck="false">
+                <div id="palette-results"></div>
+                <div class="palette-hint">${t('palette_hint')}</div>
+            </div>
+        `;
+        document.body.appendChild(palette);
+        palette.onclick = (e) => { if (e.target === palette) closeCommandPalette(); };
+        // Keys typed here must not reach Gemini's own shortcuts.
+        palette.addEventListener('keydown', handlePaletteKeydown);
+        palette.addEventListener('keyup', (e) => e.stopPropagation());
+        document.getElementById('palette-input').oninput = renderPaletteResults;
+    }
+
+    paletteState = { mode, items: [], activeIndex: 0 };
+    const input = document.getElementById('palette-input');
+    input.value = '';
+    input.placeholder = mode === 'save' ? t('palette_save_placeholder') : t('palette_placeholder');
+    palette.classList.remove('hidden');
+    renderPaletteResults();
+    input.focus();
+}
+
+/**
+ * Hides the command palette.
+ */
+function closeCommandPalette() {
+    const palette = document.getElementById('maktaba-palette');
+    if (palette) palette.classList.add('hidden');
+    paletteState = null;
+}
+
+/**
+ * Handles navigation keys inside the palette.
+ * @param {KeyboardEvent} e
+ */
+function handlePaletteKeydown(e) {
+    e.stopPropagation();
+    if (!paletteState) return;
+    const input = document.getElementById('palette-input');
+    const count = paletteState.items.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (count > 0) setPaletteActive((paletteState.activeIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteItem(paletteState.items[paletteState.activeIndex]);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        if (paletteState.mode !== 'root') openCommandPalette();
+        else closeCommandPalette();
+    } else if (e.key === 'Backspace' && input.value === '' && paletteState.mode !== 'root') {
+        e.preventDefault();
+        openCommandPalette();
+    }
+}
+
+/**
+ * Closes the palette and runs the chosen item.
+ * @param {PaletteItem} [item]
+ */
+function runPaletteItem(item) {
+    if (!item) return;
+    closeCommandPalette();
+    item.run();
+}
+
+/**
+ * Matches the palette query against the items of the current mode and lists the best matches.
+ * With no query, commands, pinned searches and folders are listed in their usual order.
+ */
+function renderPaletteResults() {
+    if (!paletteState) return;
+    const query = document.getElementById('palette-input').value.trim();
+    const results = document.getElementById('palette-results');
+
+    let ranked;
+    if (query === '') {
+        ranked = getPaletteItems(paletteState.mode)
+            .filter(item => paletteState.mode === 'save' || item.kind !== 'chat')
+            .map(item => ({ item, indices: [] }));
+    } else {
+        ranked = getPaletteItems(paletteState.mode)
+            .map((item, order) => ({ item, order, match: fuzzyMatch(query, item.label) }))
+            .filter(entry => entry.match)
+            .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+            .map(entry => ({ item: entry.item, indices: entry.match.indices }));
+    }
+    ranked = ranked.slice(0, PALETTE_RESULT_LIMIT);
+
+    paletteState.items = ranked.map(entry => entry.item);
+    paletteState.activeIndex = 0;
+    results.innerHTML = '';
+
+    if (ranked.length === 0) {
+        results.innerHTML = `<div class="palette-empty">${t('palette_no_results')}</div>`;
+        return;
+    }
+
+    ranked.forEach(({ item, indices }, index) => {
+        const row = document.createElement('div');
+        row.className = 'palette-item';
+        const icon = document.createElement('span');
+        icon.className = 'palette-icon';
+        icon.textContent = item.icon;
+        const label = document.createElement('span');
+        label.className = 'palette-label';
+        appendHighlightedText(label, item.label, indices);
+        row.append(icon, label);
+        if (item.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'palette-detail';
+            detail.textContent = item.detail;
+            row.appendChild(detail);
+        }
+        row.onmousemove = () => { if (paletteState && paletteState.activeIndex !== index) setPaletteActive(index); };
+        row.onclick = () => runPaletteItem(item);
+        results.appendChild(row);
+    });
+    setPaletteActive(0);
+}
+
+/**
+ * Highlights one palette row and scrolls it into view.
+ * @param {number} index
+ */
+function setPaletteActive(index) {
+    paletteState.activeIndex = index;
+    document.querySelectorAll('#palette-results .palette-item').forEach((row, i) => {
+        row.classList.toggle('active', i === index);
+        if (i === index) row.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+/**
+ * Builds the items the palette can search in a mode.
+ * @param {'root'|'save'} mode
+ * @returns {(PaletteItem & {kind: string})[]}
+ */
+function getPaletteItems(mode) {
+    const items = [];
+    const showInPanel = (fn) => {
+        setPanelOpen(true);
+        document.getElementById('settings-overlay').classList.add('hidden');
+        fn();
+    };
+    const addFolders = (list, run, includeSmart = true) => list.forEach(folder => {
+        if (includeSmart || !isSmartFolder(folder)) {
+            const parentPath = getFolderPath(folder.id).slice(0, -1).map(f => f.name).join(' > ');
+            const icon = isSmartFolder(folder) ? t('smart_folder_icon') : t('palette_folder_icon');
+            items.push({ kind: 'folder', icon, label: folder.name, detail: parentPath, run: () => run(folder.id) });
+        }
+        if (folder.subfolders) addFolders(folder.subfolders, run, includeSmart);
+    });
+
+    if (mode === 'save') {
+        addFolders(folderData.folders, (folderId) => showInPanel(() => saveCurrentChatToFolder(folderId)), false);
+        return items;
+    }
+
+    const commands = [
+        { icon: t('palette_cmd_save_chat_icon'), label: t('palette_cmd_save_chat'), run: () => openCommandPalette('save'), available: () => Boolean(extractChatId(window.location.href)) },
+        { icon: t('palette_cmd_new_folder_icon'), label: t('palette_cmd_new_folder'), run: () => showInPanel(() => createNewFolder(null)) },
+        { icon: t('palette_cmd_export_csv_icon'), label: t('palette_cmd_export_csv'), run: exportDataAsCSV },
+        { icon: t('palette_cmd_export_json_icon'), label: t('palette_cmd_export_json'), run: exportDataAsJSON },
+        { icon: t('palette_cmd_copy_md_icon'), label: t('palette_cmd_copy_md'), run: copyDataAsMarkdown },
+        { icon: t('palette_cmd_open_settings_icon'), label: t('palette_cmd_open_settings'), run: () => { setPanelOpen(true); openSettings(); } },
+        { icon: t('palette_cmd_undo_icon'), label: t('palette_cmd_undo'), run: undoLastChange },
+        { icon: t('palette_cmd_redo_icon'), label: t('palette_cmd_redo'), run: redoLastChange },
+        { icon: t('palette_cmd_toggle_panel_icon'), label: t('palette_cmd_toggle_panel'), run: () => setPanelOpen(!document.getElementById('maktaba-right-panel').classList.contains('open')) }
+    ];
+    commands.filter(cmd => !cmd.available || cmd.available()).forEach(cmd => items.push({ kind: 'command', ...cmd }));
+
+    (folderData.pinnedSearches || []).forEach(pin => {
+        items.push({ kind: 'pin', icon: t('palette_pin_icon'), label: pin.title, detail: pin.query, run: () => showInPanel(() => {
+            const searchInput = document.getElementById('folder-search-input');
+            searchInput.value = pin.query;
+            refreshFolderList();
+        }) });
+    });
+
+    addFolders(folderData.folders, (folderId) => showInPanel(() => {
+        document.getElementById('folder-search-input').value = '';
+        showFolderContents(folderId);
+    }));
+
+    Object.values(folderData.allChats).forEach(chat => {
+        items.push({
+            kind: 'chat', icon: t('palette_chat_icon'), label: chat.title,
+            detail: getChatFolders(chat.id).map(f => f.name).join(', '),
+            run: () => { window.location.href = `https://gemini.google.com/app/${chat.id}`; }
+        });
+    });
+    return items;
+}
+
+/**
+ * Fuzzy-matches a query against text. Every whitespace-separated word of the query must appear
+ * in order as a subsequence; runs of consecutive letters and letters at word starts score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} Matched character positions, or null if no match.
+ */
+function fuzzyMatch(query, text) {
+    const haystack = text.toLowerCase();
+    const matched = new Set();
+    let score = 0;
+
+    for (const word of query.toLowerCase().split(/\s+/).filter(w => w)) {
+        const substringAt = haystack.indexOf(word);
+        if (substringAt !== -1) {
+            // A literal occurrence beats any scattered one.
+            for (let i = 0; i < word.length; i++) matched.add(substringAt + i);
+            score += word.length * 4 + (isWordStart(haystack, substringAt) ? 6 : 0);
+            continue;
+        }
+        let from = 0;
+        let previous = -2;
+        for (let i = 0; i < word.length; i++) {
+            const index = haystack.indexOf(word[i], from);
+            if (index === -1) return null;
+            score += 1 + (index === previous + 1 ? 3 : 0) + (isWordStart(haystack, index) ? 3 : 0);
+            matched.add(index);
+            previous = index;
+            from = index + 1;
+        }
+    }
+    // Among equal matches, shorter text is the closer one.
+    score -= haystack.length / 100;
+    return { score, indices: Array.from(matched).sort((a, b) => a - b) };
+}
+
+/**
+ * Checks whether a character starts a word.
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_/.#>(]/.test(text[index - 1]);
+}
+
+/**
+ * Appends text to an element, wrapping the given character positions in <mark>.
+ * Built from text nodes so user content is never parsed as HTML.
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {number[]} indices Sorted character positions to highlight.
+ */
+function appendHighlightedText(el, text, indices) {
+    const highlighted = new Set(indices);
+    let start = 0;
+    while (start < text.length) {
+        const isMark = highlighted.has(start);
+        let end = start + 1;
+        while (end < text.length && highlighted.has(end) === isMark) end++;
+        const part = text.slice(start, end);
+        if (isMark) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            el.appendChild(mark);
+        } else {
+            el.appendChild(document.createTextNode(part));
+        }
+        start = end;
+    }
+}
+
+/**
+ * Lists the folder cards, pinned searches and chats in a list that are currently visible, in order.
+ * @param {HTMLElement} list
+ * @returns {HTMLElement[]}
+ */
+function getNavigableItems(list) {
+    return Array.from(list.querySelectorAll('.pinned-search-item, .folder-card, .chat-link-item, .tag-tree-item'))
+        .filter(el => !el.closest('.hidden'));
+}
+
+/**
+ * Moves keyboard focus to a list item and keeps it on screen.
+ * @param {HTMLElement} el
+ */
+function focusListItem(el) {
+    el.focus();
+    el.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Arrow-key navigation in the folder tree and chat lists. Up/Down move between items, Right/Left
+ * expand and collapse folders and tag namespaces (Left also goes back from a folder view), and Enter opens the item.
+ * @param {KeyboardEvent} e
+ */
+function handleListKeydown(e) {
+    const list = e.currentTarget;
+    const current = e.target;
+    if (!current.matches('.pinned-search-item, .folder-card, .chat-link-item, .tag-tree-item')) return;
+    const items = getNavigableItems(list);
+    const index = items.indexOf(current);
+    const toggle = current.matches('.folder-card') ? current.querySelector('.toggle-sub-btn') : null;
+    const subfolders = toggle ? document.getElementById(toggle.getAttribute('data-target')) : null;
+    // Chat rows go by their place in the whole list, since a long list only renders the rows near the view.
+    const rows = current.matches('.chat-link-item') && chatListState ? chatListState.rows : null;
+    const rowIndex = rows ? rows.findIndex(row => row.key === current.getAttribute('data-cid')) : -1;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const next = rowIndex !== -1 ? revealChatRow(rowIndex + step) : items[index + step];
+        if (next) focusListItem(next);
+        else if (e.key === 'ArrowUp') document.getElementById('folder-search-input').focus();
+    } else if ((e.key === 'Home' || e.key === 'End') && rowIndex !== -1) {
+        const target = revealChatRow(e.key === 'Home' ? 0 : rows.length - 1);
+        if (target) focusListItem(target);
+    } else if (e.key === 'Home' || e.key === 'End') {
+        focusListItem(items[e.key === 'Home' ? 0 : items.length - 1]);
+    } else if (e.key === 'ArrowRight' && subfolders) {
+        if (subfolders.classList.contains('hidden')) toggle.click();
+        else if (items[index + 1]) focusListItem(items[index + 1]);
+    } else if (e.key === 'ArrowLeft' && current.matches('.folder-card')) {
+        const parentCard = current.closest('.subfolder-container')?.parentElement.querySelector(':scope > .folder-card');
+        if (subfolders && !subfolders.classList.contains('hidden')) toggle.click();
+        else if (parentCard) focusListItem(parentCard);
+    } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && current.matches('.tag-tree-item')) {
+        const path = current.getAttribute('data-path');
+        const expanded = current.classList.contains('expanded');
+        const parent = items.find(el => el.getAttribute('data-path') === path.slice(0, path.lastIndexOf('/')));
+        if (e.key === 'ArrowRight' && current.classList.contains('has-children') && !expanded) setTagExpanded(path, true);
+        else if (e.key === 'ArrowRight' && expanded && items[index + 1]) focusListItem(items[index + 1]);
+        else if (e.key === 'ArrowLeft' && expanded) setTagExpanded(path, false);
+        else if (e.key === 'ArrowLeft' && parent) focusListItem(parent);
+    } else if (e.key === 'ArrowLeft' && current.matches('.chat-link-item') && list.querySelector('#back-btn')) {
+        const folderId = list.querySelector('.sub-header').getAttribute('data-fid');
+        refreshFolderList();
+        getFolderPath(folderId).slice(0, -1).forEach(f => setFolderExpanded(f.id, true));
+        const card = list.querySelector(`.folder-card[data-id="${folderId}"]`);
+        if (card) focusListItem(card);
+    } else if (e.key === 'Enter' && current.matches('.folder-card')) {
+        showFolderContents(current.getAttribute('data-id'));
+        const first = getNavigableItems(list)[0];
+        if (first) focusListItem(first);
+        else list.querySelector('#back-btn').focus();
+    } else if (e.key === 'Enter' && current.matches('.chat-link-item')) {
+        current.querySelector('.chat-title-link').click();
+    } else if (e.key === 'Enter') {
+        current.querySelector('.pin-content-wrapper, .tag-tree-name').click();
+        const first = getNavigableItems(list)[0];
+        if (first) focusListItem(first);
+    } else if (e.key === ' ' && current.querySelector('.chat-select-box')) {
+        current.querySelector('.chat-select-box').click();
+    } else {
+        return;
+    }
+    e.preventDefault();
+}